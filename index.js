@@ -1,28 +1,101 @@
 const express = require('express');
-// DEACTIVATED: const nodemailer = require('nodemailer'); // Using Azure Microsoft Graph instead
 const dotenv = require('dotenv');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const DOMPurify = require('dompurify');
 const { JSDOM } = require('jsdom');
 
-// Azure Microsoft Graph imports
-const { ConfidentialClientApplication } = require("@azure/msal-node");
-const { Client } = require("@microsoft/microsoft-graph-client");
-require("isomorphic-fetch");
-
+// Before the lib modules, several of which read their settings from the environment when required
 dotenv.config();
 
-// Validate required environment variables
-// DEACTIVATED SMTP: const requiredEnvVars = ['SMTP_HOST', 'SMTP_USER', 'SMTP_PASS', 'WEBSITE_URL', 'SUPPORT_ACCOUNT'];
-const requiredEnvVars = ['AZURE_CLIENT_ID', 'AZURE_TENANT_ID', 'AZURE_CLIENT_SECRET', 'WEBSITE_URL', 'SUPPORT_ACCOUNT'];
+const { createMailTransport } = require('./lib/transports');
+const { getDb } = require('./lib/db');
+const { createSubmission, nextCalendarSequence, transitionStatus } = require('./lib/submissions');
+const { createAppointmentInvite, preferredWindow } = require('./lib/calendar');
+const { describeAttachments, parseUploads, processUploads } = require('./lib/uploads');
+const { findSlot, isBookableDay, listAvailability, reserveSlot } = require('./lib/availability');
+const { BUSINESS_TIMEZONE } = require('./lib/timezone');
+const { redeemDeal } = require('./lib/deals');
+const { createSpamFilter } = require('./lib/spam');
+const { createCaptchaVerifier } = require('./lib/captcha');
+const { quarantineSubmission } = require('./lib/quarantine');
+const { idempotency } = require('./lib/idempotency');
+const { findDuplicate, foldDuplicate, unfoldableChanges } = require('./lib/duplicates');
+const { createConfirmationLimit, createRateLimitStores } = require('./lib/rateLimit');
+const { enqueueEmail, enqueueSms, startOutboxWorker } = require('./lib/outbox');
+const { createSmsProvider } = require('./lib/sms');
+const { isOptedOut, recordOptOut } = require('./lib/sms/optOuts');
+const {
+  customerConfirmationText,
+  customerConfirmationsEnabled,
+  loadOnCallPhones,
+  shouldAlert,
+  urgentAlertText
+} = require('./lib/sms/messages');
+const { normalizePhone } = require('./lib/phone');
+const { loadWebhooks, startWebhookWorker } = require('./lib/webhooks');
+const { loadSites } = require('./lib/sites');
+const { DEFAULT_LOCALE, loadCatalogs, resolveLocale, translate } = require('./lib/i18n');
+const { scheduleEscalation, startEscalationWorker } = require('./lib/escalations');
+const { createAuthenticator } = require('./lib/auth');
+const { ticketHeaders, withTicketToken } = require('./lib/tickets');
+const { startInboundPoller } = require('./lib/inbound');
+const { logger, requestContext, requestPath } = require('./lib/logger');
+const {
+  NOTIFIED_STATUSES,
+  createCompanyEmailTemplate,
+  createCompanySupportTemplate,
+  createConfirmationEmail,
+  createEscalationEmail,
+  createOutOfAreaEmail,
+  createStatusUpdateEmail,
+  createSupportConfirmation,
+  statusEmailSubject
+} = require('./lib/templates');
+const { createAdminRouter } = require('./routes/admin');
+const { createDevEmailRouter } = require('./routes/devEmails');
+const { createSmsRouter } = require('./routes/sms');
+
+// Validate required environment variables (each mail transport checks its own); with a site registry
+// (SITES_FILE) the website origins come from there
+const requiredEnvVars = ['SUPPORT_ACCOUNT', ...(process.env.SITES_FILE ? [] : ['WEBSITE_URL'])];
 const missing = requiredEnvVars.filter(env => !process.env[env]);
 
 if (missing.length > 0) {
-  console.error(`Missing required environment variables: ${missing.join(', ')}`);
+  logger.error(`Missing required environment variables: ${missing.join(', ')}`);
+  process.exit(1);
+}
+
+// Mail transport selected by MAIL_TRANSPORT (graph, smtp, file, console), the websites we take requests
+// from (each with its brand, support account, deals, service area, routing and form rate limit), the
+// spam checks with their CAPTCHA verifier (CAPTCHA_PROVIDER, optional), where rate limit counters are kept (RATE_LIMIT_STORE),
+// the outbound webhooks, the SMS provider (SMS_PROVIDER, optional) with the on-call numbers it alerts,
+// the customer email translations and the admin API credentials
+let mailTransport;
+let sites;
+let spamFilter;
+let rateLimitStores;
+let webhooks;
+let smsProvider;
+let onCallPhones = [];
+let adminAuth;
+try {
+  mailTransport = createMailTransport();
+  sites = loadSites();
+  spamFilter = createSpamFilter({ captcha: createCaptchaVerifier() });
+  rateLimitStores = createRateLimitStores();
+  webhooks = loadWebhooks();
+  smsProvider = createSmsProvider();
+  if (smsProvider) {
+    onCallPhones = loadOnCallPhones();
+  }
+  loadCatalogs();
+  adminAuth = createAuthenticator();
+} catch (error) {
+  logger.error(error.message);
   process.exit(1);
 }
 
@@ -36,20 +109,28 @@ app.set('trust proxy', ['loopback', 'linklocal', 'uniquelocal']);
 const window = new JSDOM('').window;
 const purify = DOMPurify(window);
 
+// Request ID (X-Request-Id) on every response and log line
+app.use(requestContext);
+
 // Security middleware
 app.use(helmet());
 
-// Rate limiting for email endpoints
-const emailLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // limit each IP to 5 requests per windowMs
+// Rate limiting for email endpoints, per site (5 requests per IP per 15 minutes unless the site sets its
+// own). Counters are shared through the configured store; if it is unreachable, requests are let
+// through rather than failing.
+const emailLimiters = new Map(sites.sites.map(site => [site.id, rateLimit({
+  windowMs: site.rateLimit.windowMinutes * 60 * 1000,
+  max: site.rateLimit.max,
   message: {
-    error: 'Too many requests from this IP, please try again after 15 minutes'
+    error: `Too many requests from this IP, please try again after ${site.rateLimit.windowMinutes} minutes`
   },
   standardHeaders: true,
   legacyHeaders: false,
+  store: rateLimitStores.create(`email:${site.id}`),
+  passOnStoreError: true,
+})]));
 
-});
+const emailLimiter = (req, res, next) => emailLimiters.get(req.site.id)(req, res, next);
 
 // General rate limiter
 const generalLimiter = rateLimit({
@@ -57,19 +138,43 @@ const generalLimiter = rateLimit({
   max: 100, // limit each IP to 100 requests per windowMs
   standardHeaders: true,
   legacyHeaders: false,
+  store: rateLimitStores.create('general'),
+  passOnStoreError: true,
 
 });
 
 app.use(generalLimiter);
 
+// Stricter limiter for the admin API; only failed (unauthenticated/forbidden) attempts count
+const adminAuthLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // limit each IP to 20 failed admin requests per windowMs
+  skipSuccessfulRequests: true,
+  message: {
+    error: 'Too many failed admin requests from this IP, please try again after 15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  store: rateLimitStores.create('admin-auth'),
+  passOnStoreError: true,
+});
+
+// Per recipient address, so rotating IPs cannot flood someone's inbox with confirmations
+const confirmationLimit = createConfirmationLimit(rateLimitStores);
+
+// The request is still taken and staff are still notified; only the customer copy is skipped
+const logSkippedConfirmation = (submission) => {
+  logger.warn(`Confirmation for ${submission.requestId} not sent: recipient limit reached`);
+};
+
 // Middleware - Allow localhost for development
 app.use(cors({
     origin: function (origin, callback) {
       // Allow requests with no origin (like mobile apps or curl requests)
       if (!origin) return callback(null, true);
       
-      // Allow mainedrainbusters.com and all its paths
-      if (origin === process.env.WEBSITE_URL) {
+      // Allow every registered site's origins
+      if (sites.forOrigin(origin)) {
         return callback(null, true);
       }
       
@@ -77,9 +182,33 @@ app.use(cors({
       callback(new Error('Not allowed by CORS'));
     },
     methods: ['GET', 'POST', 'OPTIONS'],
+    // Lets the website read the request ID, e.g. to show it with an error
+    exposedHeaders: ['X-Request-Id'],
     credentials: true,
   }));
 
+// Which site a request is for: the site whose key is in X-Site-Key (server-to-server posts), else the
+// site owning the Origin; requests with neither belong to the default site
+app.use((req, res, next) => {
+  const key = req.get('X-Site-Key');
+  if (key) {
+    req.site = sites.forApiKey(key);
+    if (!req.site) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unknown site key'
+      });
+    }
+    return next();
+  }
+
+  req.site = sites.forOrigin(req.get('Origin')) || sites.defaultSite;
+  next();
+});
+
+// Sender for a site's emails: its brand name and support mailbox
+const siteSender = site => ({ name: site.brand.name, address: site.supportAccount });
+
 // Set request size limits with proper error handling
 app.use(bodyParser.json({ 
   limit: '100kb',
@@ -110,985 +239,140 @@ const sanitizeInput = (input) => {
   return purify.sanitize(input, { ALLOWED_TAGS: [], ALLOWED_ATTR: [] });
 };
 
-// DEACTIVATED: Maine Drain Busters SMTP configuration
-// const transporter = nodemailer.createTransport({
-//   host: process.env.SMTP_HOST, // Your domain SMTP server
-//   port: process.env.SMTP_PORT,
-//   secure: process.env.SMTP_SECURE,
-//   auth: {
-//     user: process.env.SMTP_USER, // Authenticated sending user
-//     pass: process.env.SMTP_PASS
-//   },
-//   tls: {
-//     rejectUnauthorized: false,
-//   }
-// });
-
-// Azure Microsoft Graph configuration
-const msalConfig = {
-  auth: {
-    clientId: process.env.AZURE_CLIENT_ID,
-    authority: `https://login.microsoftonline.com/${process.env.AZURE_TENANT_ID}`,
-    clientSecret: process.env.AZURE_CLIENT_SECRET,
-  },
-};
-
-const cca = new ConfidentialClientApplication(msalConfig);
-
-
-// Professional email template for company (service requests)
-const createCompanyEmailTemplate = ({ name, email, phone, address, serviceType, urgency, message, preferredDate, preferredTime, discount_claimed, dealAmount }) => {
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>New Service Request</title>
-    <style>
-        /* Base Styles */
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-        }
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
-            background-color: #f4f4f4;
-            line-height: 1.5;
-            color: #333333;
-        }
-        /* Responsive Styles */
-        .wrapper {
-            max-width: 750px;
-            margin: 0 auto;
-        }
-        .container {
-            background-color: #ffffff;
-            border-radius: 8px;
-            overflow: hidden;
-            box-shadow: 0 4px 10px rgba(0,0,0,0.1);
-        }
-        .header {
-            background-color: #092158;
-            padding: 25px 20px;
-            text-align: center;
-            border-bottom: 4px solid rgb(255, 222, 6);
-            position: relative;
-        }
-        .header h1 {
-            color: rgb(255, 255, 253);
-            font-size: 24px;
-            margin: 0;
-        }
-        .header p {
-            color: rgb(255, 222, 6);
-            font-size: 16px;
-            margin: 5px 0 0;
-        }
-        .content {
-            padding: 30px;
-        }
-        .alert-bar {
-            background-color: #dc3545;
-            color: white;
-            padding: 10px 15px;
-            font-weight: bold;
-            text-align: center;
-            margin-bottom: 25px;
-            border-radius: 4px;
-        }
-        .summary-box {
-            background-color: rgb(255, 222, 6, 0.15);
-            border-left: 5px solid rgb(255, 222, 6);
-            padding: 15px;
-            margin-bottom: 25px;
-            border-radius: 0 4px 4px 0;
-        }
-        .summary-box h2 {
-            color: #092158;
-            font-size: 18px;
-            margin-bottom: 10px;
-        }
-        .summary-box p {
-            color: #333333;
-            font-size: 15px;
-        }
-        .status-badge {
-            display: inline-block;
-            background-color: #6c757d;
-            color: white;
-            padding: 5px 12px;
-            border-radius: 50px;
-            font-weight: bold;
-            font-size: 12px;
-            margin: 0 0 0 10px;
-            vertical-align: middle;
-        }
-        .status-urgent {
-            background-color: #dc3545;
-        }
-        .status-high {
-            background-color: #fd7e14;
-        }
-        .status-medium {
-            background-color: #ffc107;
-            color: #212529;
-        }
-        .status-low {
-            background-color: #28a745;
-        }
-        .data-section {
-            margin: 30px 0;
-        }
-        .section-header {
-            background-color: #092158;
-            color: white;
-            padding: 12px 15px;
-            font-size: 16px;
-            font-weight: bold;
-            border-radius: 6px 6px 0 0;
-            margin-bottom: 0;
-        }
-        .data-table {
-            width: 100%;
-            border-collapse: collapse;
-            margin: 0 0 25px 0;
-            box-shadow: 0 2px 5px rgba(0,0,0,0.1);
-            border: 1px solid #dee2e6;
-            border-top: none;
-            border-radius: 0 0 6px 6px;
-            overflow: hidden;
-        }
-        .data-table th, 
-        .data-table td {
-            padding: 12px 15px;
-            text-align: left;
-            border-bottom: 1px solid #dee2e6;
-        }
-        .data-table th {
-            background-color: #f8f9fa;
-            font-weight: 600;
-            color: #092158;
-            width: 35%;
-        }
-        .data-table tr:last-child th,
-        .data-table tr:last-child td {
-            border-bottom: none;
-        }
-        .data-table td {
-            background-color: white;
-        }
-        .data-table tr:nth-child(even) td {
-            background-color: #f8f9fa;
-        }
-        .data-value {
-            font-weight: 500;
-        }
-        .timestamp-box {
-            background-color: #f8f9fa;
-            border: 1px solid #dee2e6;
-            border-radius: 6px;
-            padding: 12px 15px;
-            margin: 25px 0;
-            color: #666;
-            font-size: 14px;
-            text-align: center;
-        }
-        .message-box {
-            background-color: #f8f9fa;
-            border: 1px solid #dee2e6;
-            border-left: 4px solid #092158;
-            border-radius: 0 6px 6px 0;
-            padding: 15px;
-            margin: 20px 0;
-        }
-        .message-box h3 {
-            color: #092158;
-            font-size: 16px;
-            margin-bottom: 10px;
-        }
-        .message-content {
-            background-color: white;
-            padding: 15px;
-            border-radius: 4px;
-            border: 1px solid #e9ecef;
-            font-style: italic;
-            color: #333;
-        }
-        .action-section {
-            background-color: #f8f9fa;
-            border-radius: 6px;
-            padding: 20px;
-            margin: 25px 0;
-            text-align: center;
-        }
-        .action-title {
-            color: #092158;
-            font-weight: bold;
-            margin-bottom: 15px;
-        }
-        .action-buttons {
-            display: flex;
-            justify-content: center;
-            flex-wrap: wrap;
-            gap: 10px;
-        }
-        .btn {
-            display: inline-block;
-            padding: 10px 15px;
-            background-color: #092158;
-            color: white;
-            text-decoration: none;
-            border-radius: 4px;
-            font-weight: 500;
-            min-width: 120px;
-            text-align: center;
-        }
-        .btn-primary {
-            background-color: rgb(255, 222, 6);
-            color: #092158;
-        }
-        .meta-info {
-            background-color: #f1f3f9;
-            border-radius: 6px;
-            padding: 15px;
-            margin: 25px 0 15px 0;
-        }
-        .meta-title {
-            color: #092158;
-            font-size: 14px;
-            font-weight: bold;
-            margin-bottom: 10px;
-        }
-        .meta-row {
-            display: flex;
-            font-size: 13px;
-            margin-bottom: 5px;
-        }
-        .meta-label {
-            min-width: 120px;
-            color: #666;
-        }
-        .meta-value {
-            color: #333;
-        }
-        .footer {
-            background-color: #092158;
-            padding: 20px;
-            text-align: center;
-            border-radius: 0 0 8px 8px;
-        }
-        .footer p {
-            margin: 5px 0;
-            font-size: 14px;
-            color: rgb(255, 255, 253);
-        }
-        .footer .highlight {
-            color: rgb(255, 222, 6);
-        }
-        
-        /* Responsive adjustments */
-        @media screen and (max-width: 767px) {
-            .wrapper {
-                width: 100%;
-                padding: 10px;
-            }
-            .content {
-                padding: 20px;
-            }
-            .data-table th, 
-            .data-table td {
-                display: block;
-                width: 100%;
-            }
-            .data-table th {
-                border-bottom: none;
-                padding-bottom: 5px;
-            }
-            .data-table td {
-                padding-top: 5px;
-                border-bottom: 1px solid #dee2e6;
-            }
-            .data-table tr:last-child td {
-                border-bottom: none;
-            }
-            .action-buttons {
-                flex-direction: column;
-            }
-            .btn {
-                width: 100%;
-            }
-        }
-    </style>
-</head>
-<body>
-    <div class="wrapper">
-        <div class="container">
-            <!-- Header -->
-            <div class="header">
-                <h1>NEW SERVICE REQUEST</h1>
-                <p>Client Service Notification</p>
-            </div>
-            
-            <!-- Content -->
-            <div class="content">
-                <div class="summary-box">
-                    <h2>Service Request from ${name} <span class="status-badge ${urgency === 'Urgent' ? 'status-urgent' : urgency === 'High' ? 'status-high' : urgency === 'Medium' ? 'status-medium' : 'status-low'}">NEW</span></h2>
-                    <p><strong>${serviceType || 'General Service'}</strong> service requested for ${preferredDate || 'Flexible date'} (${preferredTime || 'Flexible time'}) - <strong>Urgency: ${urgency || 'Standard'}</strong></p>
-                </div>
-
-                <div class="data-section">
-                    <div class="section-header">Client Information</div>
-                    <table class="data-table">
-                        <tr>
-                            <th>Full Name</th>
-                            <td class="data-value">${name}</td>
-                        </tr>
-                        <tr>
-                            <th>Phone Number</th>
-                            <td class="data-value">${phone}</td>
-                        </tr>
-                        <tr>
-                            <th>Email Address</th>
-                            <td class="data-value">${email}</td>
-                        </tr>
-                        <tr>
-                            <th>Service Address</th>
-                            <td class="data-value">${address}</td>
-                        </tr>
-                    </table>
-                </div>
-                
-                <div class="data-section">
-                    <div class="section-header">Service Details</div>
-                    <table class="data-table">
-                        <tr>
-                            <th>Service Type</th>
-                            <td class="data-value">${serviceType || 'General Service'}</td>
-                        </tr>
-                        <tr>
-                            <th>Urgency Level</th>
-                            <td class="data-value">${urgency || 'Standard'}</td>
-                        </tr>
-                        <tr>
-                            <th>Preferred Date</th>
-                            <td class="data-value">${preferredDate || 'Not specified'}</td>
-                        </tr>
-                        <tr>
-                            <th>Preferred Time</th>
-                            <td class="data-value">${preferredTime || 'Not specified'}</td>
-                        </tr>
-                        <tr>
-                            <th>Promotional Deal</th>
-                            <td class="data-value">${discount_claimed ? `Claimed ($${dealAmount})` : 'Not claimed'}</td>
-                        </tr>
-                    </table>
-                </div>
-                
-                <div class="message-box">
-                    <h3>Client Message</h3>
-                    <div class="message-content">
-                        <p>${message}</p>
-                    </div>
-                </div>
-                
-                <div class="timestamp-box">
-                    <strong>Request ID:</strong> REQ-${new Date().toISOString().slice(0,10).replace(/-/g, '')}-001 | 
-                    <strong>Submitted:</strong> ${new Date().toLocaleString()}
-                </div>
-            </div>
-            
-            <!-- Footer -->
-            <div class="footer">
-                <p class="highlight">Maine Drain Busters - Internal Service Management</p>
-                <p>This email was sent to the Service Management Team</p>
-                <p>© ${new Date().getFullYear()} Maine Drain Busters</p>
-            </div>
-        </div>
-    </div>
-</body>
-</html>`;
-};
-
-// Professional email template for company (support requests)
-const createCompanySupportTemplate = ({ name, email, phone, message, subject }) => {
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>New Support Request</title>
-    <style>
-        /* Base Styles */
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-        }
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
-            background-color: #f4f4f4;
-            line-height: 1.5;
-            color: #333333;
-        }
-        /* Responsive Styles */
-        .wrapper {
-            max-width: 750px;
-            margin: 0 auto;
-        }
-        .container {
-            background-color: #ffffff;
-            border-radius: 8px;
-            overflow: hidden;
-            box-shadow: 0 4px 10px rgba(0,0,0,0.1);
-        }
-        .header {
-            background-color: #092158;
-            padding: 25px 20px;
-            text-align: center;
-            border-bottom: 4px solid rgb(255, 222, 6);
-            position: relative;
-        }
-        .header h1 {
-            color: rgb(255, 255, 253);
-            font-size: 24px;
-            margin: 0;
-        }
-        .header p {
-            color: rgb(255, 222, 6);
-            font-size: 16px;
-            margin: 5px 0 0;
-        }
-        .content {
-            padding: 30px;
-        }
-        .summary-box {
-            background-color: rgb(255, 222, 6, 0.15);
-            border-left: 5px solid rgb(255, 222, 6);
-            padding: 15px;
-            margin-bottom: 25px;
-            border-radius: 0 4px 4px 0;
-        }
-        .summary-box h2 {
-            color: #092158;
-            font-size: 18px;
-            margin-bottom: 10px;
-        }
-        .summary-box p {
-            color: #333333;
-            font-size: 15px;
-        }
-        .status-badge {
-            display: inline-block;
-            background-color: #6c757d;
-            color: white;
-            padding: 5px 12px;
-            border-radius: 50px;
-            font-weight: bold;
-            font-size: 12px;
-            margin: 0 0 0 10px;
-            vertical-align: middle;
-        }
-        .status-support {
-            background-color: #0d6efd;
-        }
-        .data-section {
-            margin: 30px 0;
-        }
-        .section-header {
-            background-color: #092158;
-            color: white;
-            padding: 12px 15px;
-            font-size: 16px;
-            font-weight: bold;
-            border-radius: 6px 6px 0 0;
-            margin-bottom: 0;
-        }
-        .data-table {
-            width: 100%;
-            border-collapse: collapse;
-            margin: 0 0 25px 0;
-            box-shadow: 0 2px 5px rgba(0,0,0,0.1);
-            border: 1px solid #dee2e6;
-            border-top: none;
-            border-radius: 0 0 6px 6px;
-            overflow: hidden;
-        }
-        .data-table th, 
-        .data-table td {
-            padding: 12px 15px;
-            text-align: left;
-            border-bottom: 1px solid #dee2e6;
-        }
-        .data-table th {
-            background-color: #f8f9fa;
-            font-weight: 600;
-            color: #092158;
-            width: 35%;
-        }
-        .data-table tr:last-child th,
-        .data-table tr:last-child td {
-            border-bottom: none;
-        }
-        .data-table td {
-            background-color: white;
-        }
-        .data-table tr:nth-child(even) td {
-            background-color: #f8f9fa;
-        }
-        .data-value {
-            font-weight: 500;
-        }
-        .timestamp-box {
-            background-color: #f8f9fa;
-            border: 1px solid #dee2e6;
-            border-radius: 6px;
-            padding: 12px 15px;
-            margin: 25px 0;
-            color: #666;
-            font-size: 14px;
-            text-align: center;
-        }
-        .message-box {
-            background-color: #f8f9fa;
-            border: 1px solid #dee2e6;
-            border-left: 4px solid #0d6efd;
-            border-radius: 0 6px 6px 0;
-            padding: 15px;
-            margin: 20px 0;
-        }
-        .message-box h3 {
-            color: #092158;
-            font-size: 16px;
-            margin-bottom: 10px;
-        }
-        .message-content {
-            background-color: white;
-            padding: 15px;
-            border-radius: 4px;
-            border: 1px solid #e9ecef;
-            font-style: italic;
-            color: #333;
-        }
-        .footer {
-            background-color: #092158;
-            padding: 20px;
-            text-align: center;
-            border-radius: 0 0 8px 8px;
-        }
-        .footer p {
-            margin: 5px 0;
-            font-size: 14px;
-            color: rgb(255, 255, 253);
-        }
-        .footer .highlight {
-            color: rgb(255, 222, 6);
-        }
-        
-        /* Responsive adjustments */
-        @media screen and (max-width: 767px) {
-            .wrapper {
-                width: 100%;
-                padding: 10px;
-            }
-            .content {
-                padding: 20px;
-            }
-            .data-table th, 
-            .data-table td {
-                display: block;
-                width: 100%;
-            }
-            .data-table th {
-                border-bottom: none;
-                padding-bottom: 5px;
-            }
-            .data-table td {
-                padding-top: 5px;
-                border-bottom: 1px solid #dee2e6;
-            }
-            .data-table tr:last-child td {
-                border-bottom: none;
-            }
-        }
-    </style>
-</head>
-<body>
-    <div class="wrapper">
-        <div class="container">
-            <!-- Header -->
-            <div class="header">
-                <h1>NEW SUPPORT REQUEST</h1>
-                <p>Customer Support Notification</p>
-            </div>
-            
-            <!-- Content -->
-            <div class="content">
-                <div class="summary-box">
-                    <h2>Support Request from ${name} <span class="status-badge status-support">SUPPORT</span></h2>
-                    <p><strong>Subject:</strong> ${subject || 'General Support'}</p>
-                </div>
-
-                <div class="data-section">
-                    <div class="section-header">Contact Information</div>
-                    <table class="data-table">
-                        <tr>
-                            <th>Full Name</th>
-                            <td class="data-value">${name}</td>
-                        </tr>
-                        <tr>
-                            <th>Email Address</th>
-                            <td class="data-value">${email}</td>
-                        </tr>
-                        <tr>
-                            <th>Phone Number</th>
-                            <td class="data-value">${phone || 'Not provided'}</td>
-                        </tr>
-                        <tr>
-                            <th>Submitted</th>
-                            <td class="data-value">${new Date().toLocaleString()}</td>
-                        </tr>
-                    </table>
-                </div>
-                
-                <div class="message-box">
-                    <h3>Support Message</h3>
-                    <div class="message-content">
-                        <p>${message}</p>
-                    </div>
-                </div>
-            </div>
-            
-            <!-- Footer -->
-            <div class="footer">
-                <p class="highlight">Maine Drain Busters - Internal Support System</p>
-                <p>This email was sent to the Customer Support Team</p>
-                <p>© ${new Date().getFullYear()} Maine Drain Busters</p>
-            </div>
-        </div>
-    </div>
-</body>
-</html>`;
-};
-
-// Enhanced email template with Maine Drain Busters branding (Client Confirmation)
-const createConfirmationEmail = ({ name, serviceType, phone, preferredDate, preferredTime, submissionTime }) => {
-  // Format date and time information
-  const formattedSubmissionTime = new Date(submissionTime || Date.now()).toLocaleString();
-  
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Service Request Confirmation</title>
-    <style>
-        /* Base Styles */
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-        }
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
-            background-color: #f4f4f4;
-            line-height: 1.5;
-            color: #333333;
-        }
-        /* Responsive Styles */
-        .wrapper {
-            max-width: 600px;
-            margin: 0 auto;
-        }
-        .container {
-            background-color: #ffffff;
-            border-radius: 8px;
-            overflow: hidden;
-            box-shadow: 0 4px 10px rgba(0,0,0,0.1);
-        }
-        .header {
-            background-color: #092158;
-            padding: 25px 20px;
-            text-align: center;
-            border-bottom: 4px solid rgb(255, 222, 6);
-        }
-        .header h1 {
-            color: rgb(255, 255, 253);
-            font-size: 22px;
-            margin: 0;
-        }
-        .header p {
-            color: rgb(255, 222, 6);
-            font-size: 16px;
-            margin: 5px 0 0;
-        }
-        .content {
-            padding: 30px;
-        }
-        .confirmation-box {
-            background-color: #f9f9f9;
-            border-left: 4px solid rgb(255, 222, 6);
-            padding: 20px;
-            margin-bottom: 25px;
-        }
-        .confirmation-box h2 {
-            color: #092158;
-            font-size: 18px;
-            margin-bottom: 10px;
-        }
-        .service-details {
-            background-color: #f5f8ff;
-            border-radius: 8px;
-            padding: 20px;
-            margin: 25px 0;
-        }
-        .detail-row {
-            display: flex;
-            margin-bottom: 12px;
-            flex-wrap: wrap;
-        }
-        .detail-label {
-            width: 130px;
-            font-weight: bold;
-            color: #092158;
-        }
-        .detail-value {
-            flex: 1;
-            color: #333;
-        }
-        .contact-info {
-            background-color: #092158;
-            color: white;
-            padding: 15px;
-            border-radius: 8px;
-            margin: 20px 0;
-            text-align: center;
-        }
-        .contact-info a {
-            color: rgb(255, 222, 6);
-            text-decoration: none;
-            font-weight: bold;
-        }
-        .footer {
-            background-color: #092158;
-            padding: 20px;
-            text-align: center;
-        }
-        .footer p {
-            margin: 5px 0;
-            font-size: 14px;
-            color: rgb(255, 255, 253);
-        }
-        .footer .highlight {
-            color: rgb(255, 222, 6);
-        }
-        
-        .status-badge {
-            display: inline-block;
-            background-color: #28a745;
-            color: white;
-            padding: 5px 15px;
-            border-radius: 50px;
-            font-weight: bold;
-            font-size: 14px;
-            margin: 10px 0;
-        }
-        
-        /* Responsive adjustments */
-        @media screen and (max-width: 600px) {
-            .wrapper {
-                width: 100%;
-                padding: 10px;
-            }
-            .content {
-                padding: 20px;
-            }
-            .detail-row {
-                flex-direction: column;
-                margin-bottom: 15px;
-            }
-            .detail-label {
-                width: 100%;
-                margin-bottom: 5px;
-            }
-        }
-    </style>
-</head>
-<body>
-    <div class="wrapper">
-        <div class="container">
-            <!-- Header -->
-            <div class="header">
-                <h1>MAINE DRAIN BUSTERS</h1>
-                <p>Service Request Confirmation</p>
-            </div>
-            
-            <!-- Content -->
-            <div class="content">
-                <p style="margin-bottom: 20px; font-size: 16px;">Dear <strong>${name}</strong>,</p>
-                
-                <div class="confirmation-box">
-                    <h2>✓ Service Request Successfully Received</h2>
-                    <p>Thank you for choosing Maine Drain Busters for your plumbing and drainage needs.</p>
-                    <div class="status-badge">CONFIRMED</div>
-                </div>
-                
-                <p>We've recorded your service request with the following details:</p>
-                
-                <div class="service-details">
-                    <div class="detail-row">
-                        <div class="detail-label">Service Type:</div>
-                        <div class="detail-value"><strong>${serviceType || 'General Service'}</strong></div>
-                    </div>
-                    <div class="detail-row">
-                        <div class="detail-label">Contact Phone:</div>
-                        <div class="detail-value"><strong>${phone || 'Not provided'}</strong></div>
-                    </div>
-                    <div class="detail-row">
-                        <div class="detail-label">Preferred Date:</div>
-                        <div class="detail-value"><strong>${preferredDate || 'Flexible'}</strong></div>
-                    </div>
-                    <div class="detail-row">
-                        <div class="detail-label">Preferred Time:</div>
-                        <div class="detail-value"><strong>${preferredTime || 'Flexible'}</strong></div>
-                    </div>
-                    <div class="detail-row">
-                        <div class="detail-label">Submitted:</div>
-                        <div class="detail-value"><strong>${formattedSubmissionTime}</strong></div>
-                    </div>
-                </div>
-                
-                <p><strong>Next Steps:</strong> Our experienced team will contact you within <strong>24 hours</strong> to confirm your appointment details.</p>
-                
-                <div class="contact-info">
-                    <p>Have questions? Reach us at:</p>
-                    <p><a href="mailto:support@mainedrainbusters.com">support@mainedrainbusters.com</a></p>
-                    <p>Call: <strong>(207) 409-9772</strong></p>
-                </div>
-                
-                
-                <p style="text-align: center; margin-top: 20px;">Thank you for trusting Maine's premier plumbing professionals!</p>
-            </div>
-            
-            <!-- Footer -->
-            <div class="footer">
-                <p class="highlight">Professional Plumbing & Drainage Services</p>
-                <p>Serving Greater Portland, Maine & Surrounding Areas</p>
-                <p>© ${new Date().getFullYear()} Maine Drain Busters</p>
-            </div>
-        </div>
-    </div>
-</body>
-</html>`;
-};
-
-// DEACTIVATED: Enhanced email sender function with SMTP
-// async function sendEmail({ to, subject, content, isHTML = false, headers = {} }) {
-//   try {
-//     // Validate email address
-//     if (!validateEmail(to)) {
-//       throw new Error('Invalid email address');
-//     }
-//     const mailOptions = {
-//       from: `"Maine Drain Busters" <${process.env.SMTP_USER}>`, // Always from authenticated user
-//       to,
-//       subject: sanitizeInput(subject),
-//       html: isHTML ? content : undefined,
-//       text: isHTML ? undefined : content,
-//       headers: headers // Add custom headers
-//     };
-//     const info = await transporter.sendMail(mailOptions);
-//     return { success: true, messageId: info.messageId };
-//   } catch (error) {
-//     const errorId = Date.now().toString(36) + Math.random().toString(36).substr(2);
-//     console.error(`Email error [${errorId}]:`, {
-//       error: error.message,
-//       to: to.replace(/(.{3}).*(@.*)/, '$1***$2'), // Mask email in error logs
-//       timestamp: new Date().toISOString()
-//     });
-//     return { success: false, errorId };
-//   }
-// }
-
-// NEW: Enhanced email sender function using Azure Microsoft Graph
-async function sendEmail({ to, subject, content, isHTML = false, headers = {} }) {
+// Enhanced email sender function using the configured mail transport (HTML with a plain-text alternative)
+// "to" may be one address or a list (routed company emails); cc and bcc are lists
+// from ({ name, address }) is the site's sender; messages queued before sites existed have none
+async function sendEmail({ from, to, cc = [], bcc = [], subject, html, text, content, isHTML = false, headers = {}, attachments = [] }) {
   try {
-    // Validate email address
-    if (!validateEmail(to)) {
+    // Validate email addresses
+    if (![].concat(to, cc, bcc).every(validateEmail) || (from && !validateEmail(from.address))) {
       throw new Error('Invalid email address');
     }
 
-    // Get access token from Azure
-    const authResponse = await cca.acquireTokenByClientCredential({
-      scopes: ["https://graph.microsoft.com/.default"],
+    const info = await mailTransport.send({
+      from,
+      to,
+      cc,
+      bcc,
+      subject: sanitizeInput(subject),
+      // Messages queued before text alternatives existed carry a single content body
+      html: html || (isHTML ? content : undefined),
+      text: text || (isHTML ? undefined : content),
+      headers,
+      attachments
     });
 
-    // Initialize Microsoft Graph client
-    const client = Client.init({
-      authProvider: (done) => {
-        done(null, authResponse.accessToken);
-      },
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    const errorId = Date.now().toString(36) + Math.random().toString(36).substr(2);
+    logger.error('Email error', {
+      errorId,
+      error: error.message,
+      transport: mailTransport.name,
+      to,
+      cc,
+      bcc
     });
+    return { success: false, errorId, error: error.message };
+  }
+}
 
-    // Prepare email message for Microsoft Graph
-    const message = {
-      message: {
-        subject: sanitizeInput(subject),
-        body: {
-          contentType: isHTML ? 'HTML' : 'Text',
-          content: content
-        },
-        toRecipients: [
-          {
-            emailAddress: {
-              address: to
-            }
-          }
-        ],
-        from: {
-          emailAddress: {
-            address: process.env.SUPPORT_ACCOUNT // Send from support account
-          }
-        }
-      },
-      saveToSentItems: true
-    };
-
-    // Add custom headers if provided (Microsoft Graph requires x- prefix)
-    if (Object.keys(headers).length > 0) {
-      // Microsoft Graph requires custom headers to start with x- or X-
-      const graphHeaders = Object.entries(headers).map(([key, value]) => ({
-        name: key.toLowerCase().startsWith("x-") ? key : `x-${key}`,
-        value: value
-      }));
-      message.message.internetMessageHeaders = graphHeaders;
-    } else {
-      // Remove the old header assignment
-      delete message.message.internetMessageHeaders;
+// Text sender for the outbox; numbers that opted out are skipped (and count as done)
+async function sendSms({ to, body }) {
+  try {
+    if (isOptedOut(to)) {
+      logger.info('SMS skipped: number has opted out', { to });
+      return { success: true, messageId: null };
     }
-    // Remove the old header mapping code
 
-    // Send email using Microsoft Graph
-    const info = await client.api(`/users/${process.env.SUPPORT_ACCOUNT}/sendMail`).post(message);
-    
-    return { success: true, messageId: info.id || 'graph-sent' };
+    const { messageId } = await smsProvider.send({ to, body });
+    return { success: true, messageId };
   } catch (error) {
+    // The provider knows about a STOP we never saw; remember it and stop retrying
+    if (error.unsubscribed) {
+      recordOptOut(to, 'provider');
+      logger.info('SMS skipped: provider reports the number unsubscribed', { to });
+      return { success: true, messageId: null };
+    }
+
     const errorId = Date.now().toString(36) + Math.random().toString(36).substr(2);
-    console.error(`Email error [${errorId}]:`, {
+    logger.error('SMS error', {
+      errorId,
       error: error.message,
-      to: to.replace(/(.{3}).*(@.*)/, '$1***$2'), // Mask email in error logs
-      timestamp: new Date().toISOString()
+      provider: smsProvider.name,
+      to
     });
-    return { success: false, errorId };
+    return { success: false, errorId, error: error.message };
   }
 }
 
+// Open appointment slots for the booking form
+const availabilityValidation = [
+  query('from').optional().isDate({ format: 'YYYY-MM-DD', delimiters: ['-'] }),
+  query('days').optional().isInt({ min: 1, max: 31 }).toInt()
+];
+
+app.get('/availability', availabilityValidation, (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid input data',
+      details: errors.array()
+    });
+  }
+
+  res.json({
+    success: true,
+    timezone: BUSINESS_TIMEZONE,
+    slots: listAvailability({ from: req.query.from, days: req.query.days })
+  });
+});
+
+// Signed token the forms fetch when rendered and send back as formToken; submitting sooner
+// than minSubmitSeconds after it was issued counts towards the spam score
+app.get('/form-token', (req, res) => {
+  res.json({
+    success: true,
+    token: spamFilter.issueFormToken(),
+    minSubmitSeconds: spamFilter.minSubmitSeconds
+  });
+});
+
+// Suspect submissions are stored, but their emails are held until staff release them.
+// The customer gets the normal response either way so bots learn nothing.
+const holdIfSuspect = (submission, spam) => {
+  if (!spam.quarantined) return;
+  quarantineSubmission(submission.id, spam);
+  logger.warn(`Submission ${submission.requestId} quarantined`, {
+    score: spam.score,
+    reasons: spam.reasons
+  });
+};
+
+// Promotions currently on offer, for the website's deal banner and booking form
+app.get('/deals', (req, res) => {
+  res.json({
+    success: true,
+    deals: req.site.deals.listActiveDeals()
+  });
+});
+
+// Language tag for customer emails ("fr", "es-MX"); languages without a translation fall back to
+// Accept-Language, then English
+const localeValidation = body('locale').optional().trim().matches(/^[a-z]{2,3}([-_][a-z0-9]{2,8})*$/i)
+  .withMessage('Locale must be a language tag such as "fr" or "es-MX"');
+
 // Service request validation middleware
 const serviceRequestValidation = [
   body('firstName').trim().isLength({ min: 1, max: 50 }).escape(),
   body('lastName').trim().isLength({ min: 1, max: 50 }).escape(),
   body('email').isEmail().normalizeEmail(),
   body('phone').optional().isMobilePhone(),
+  // Customer texts need a number we can normalise
+  body('smsOptIn').optional().isBoolean().toBoolean()
+    .custom((optIn, { req }) => !optIn || Boolean(normalizePhone(req.body.phone)))
+    .withMessage('A valid mobile number is required for text updates'),
   body('address').trim().isLength({ min: 1, max: 200 }).escape(),
   body('city').trim().isLength({ min: 1, max: 100 }).escape(),
   body('state').trim().isLength({ min: 2, max: 50 }).escape(),
@@ -1096,14 +380,17 @@ const serviceRequestValidation = [
   body('serviceType').trim().isLength({ min: 1, max: 100 }).escape(),
   body('urgency').optional().isIn(['Low', 'Medium', 'High', 'Urgent']),
   body('description').trim().isLength({ min: 10, max: 1000 }).escape(),
-  body('preferredDate').optional().isDate(),
+  body('preferredDate').optional().isDate({ format: 'YYYY-MM-DD', delimiters: ['-'] })
+    .custom(isBookableDay).withMessage('Preferred date must be an upcoming day we are open'),
   body('preferredTime').optional().trim().isLength({ max: 50 }).escape(),
-  body('claimDeal').optional().isBoolean(),
-  body('dealAmount').optional().isNumeric()
+  body('slotId').optional().custom(slotId => Boolean(findSlot(slotId))).withMessage('Unknown or unavailable appointment slot'),
+  // Deals come from the server catalog; the discount is never taken from the request
+  body('dealCode').optional().trim().custom((code, { req }) => Boolean(req.site.deals.checkDeal(code, { serviceType: req.body.serviceType }))),
+  localeValidation
 ];
 
 // Updated route handler with security improvements
-app.post('/send-email', emailLimiter, serviceRequestValidation, async (req, res) => {
+app.post('/send-email', emailLimiter, parseUploads, idempotency('/send-email'), serviceRequestValidation, spamFilter.guard({ textFields: ['description'] }), async (req, res) => {
   try {
     // Check validation results
     const errors = validationResult(req);
@@ -1115,6 +402,19 @@ app.post('/send-email', emailLimiter, serviceRequestValidation, async (req, res)
       });
     }
 
+    // Photos and files from multipart requests, checked and re-encoded before anything is stored
+    let uploads;
+    try {
+      uploads = await processUploads(req.files);
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details })
+      });
+    }
+
     const {
       firstName,
       lastName,
@@ -1129,10 +429,15 @@ app.post('/send-email', emailLimiter, serviceRequestValidation, async (req, res)
       description,
       preferredDate,
       preferredTime,
-      claimDeal,
-      dealAmount
+      slotId,
+      dealCode,
+      smsOptIn
     } = req.body;
 
+    // A booked slot replaces the free-text preferred date and time
+    const slot = slotId ? findSlot(slotId) : null;
+    const deal = dealCode ? req.site.deals.checkDeal(dealCode, { serviceType }) : null;
+
     // Sanitize inputs
     const sanitizedData = {
       firstName: sanitizeInput(firstName),
@@ -1146,10 +451,12 @@ app.post('/send-email', emailLimiter, serviceRequestValidation, async (req, res)
       serviceType: sanitizeInput(serviceType),
       urgency: sanitizeInput(urgency),
       description: sanitizeInput(description),
-      preferredDate: sanitizeInput(preferredDate),
-      preferredTime: sanitizeInput(preferredTime),
-      claimDeal,
-      dealAmount
+      preferredDate: slot ? slot.date : sanitizeInput(preferredDate),
+      preferredTime: slot ? slot.label : sanitizeInput(preferredTime),
+      slotId: slot ? slot.id : undefined,
+      dealCode: deal ? deal.code : undefined,
+      smsOptIn: Boolean(smsOptIn),
+      locale: resolveLocale(req)
     };
 
     // Combine name and address fields
@@ -1160,69 +467,247 @@ app.post('/send-email', emailLimiter, serviceRequestValidation, async (req, res)
     const safeReplyTo = validateEmail(sanitizedData.clientEmail) ? 
       `${validateName(name)} <${sanitizedData.clientEmail}>` : undefined;
 
-    // 1. Send to Company (SUPPORT_ACCOUNT only)
-    const companyEmailResult = await sendEmail({
-      to: process.env.SUPPORT_ACCOUNT,
-      subject: `Service Request from ${name}`,
-      content: createCompanyEmailTemplate({
+    // Sent again while the first is still open: add it to that request rather than starting over
+    const duplicate = !req.spam.quarantined && findDuplicate({
+      type: 'service',
+      email: sanitizedData.clientEmail,
+      siteId: req.site.id,
+      address: fullAddress,
+      serviceType: sanitizedData.serviceType
+    });
+    if (duplicate) {
+      // Files, a slot or a deal would be silently dropped by folding, so say so instead
+      const changes = unfoldableChanges(duplicate, { attachments: uploads, slotId: sanitizedData.slotId, dealCode: sanitizedData.dealCode });
+      if (changes.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: `We already have this request (${duplicate.requestId}). Please contact us to add photos or files, change the appointment or apply a deal.`,
+          requestId: duplicate.requestId,
+          duplicate: true,
+          details: changes
+        });
+      }
+
+      foldDuplicate(duplicate, {
+        from: sanitizedData.clientEmail,
+        subject: `Resubmitted ${sanitizedData.serviceType} request`,
+        text: sanitizedData.description
+      });
+      return res.status(200).json({
+        success: true,
+        requestId: duplicate.requestId,
+        duplicate: true,
+        message: 'We already have this request and have added your latest details to it'
+      });
+    }
+
+    const { site } = req;
+    const zone = site.serviceArea.findZone(sanitizedData.zipCode);
+
+    // Outside the service area: keep the request on record (closed) and tell the customer, without
+    // reserving a slot or alerting the service team
+    if (!zone) {
+      const sendConfirmation = await confirmationLimit.allow(sanitizedData.clientEmail);
+      const outOfArea = getDb().transaction(() => {
+        const stored = createSubmission({
+          siteId: site.id,
+          type: 'service',
+          name,
+          email: sanitizedData.clientEmail,
+          phone: sanitizedData.phone,
+          address: fullAddress,
+          zipCode: sanitizedData.zipCode,
+          serviceType: sanitizedData.serviceType,
+          urgency: sanitizedData.urgency,
+          message: sanitizedData.description,
+          data: { ...sanitizedData, slotId: undefined, dealCode: undefined, serviceZone: null, attachments: describeAttachments(uploads) }
+        });
+        holdIfSuspect(stored, req.spam);
+        transitionStatus(stored.requestId, {
+          status: 'cancelled',
+          actor: 'system',
+          note: `Outside service area (ZIP ${sanitizedData.zipCode})`
+        });
+
+        if (sendConfirmation) {
+          enqueueEmail({
+            from: siteSender(site),
+            to: sanitizedData.clientEmail,
+            subject: withTicketToken(translate(sanitizedData.locale, 'outOfArea.subject'), stored.requestId),
+            ...createOutOfAreaEmail({
+              brand: site.brand,
+              requestId: stored.requestId,
+              name,
+              serviceType: sanitizedData.serviceType,
+              zipCode: sanitizedData.zipCode,
+              submissionTime: stored.createdAt,
+              locale: sanitizedData.locale
+            }),
+            headers: ticketHeaders(stored.requestId)
+          }, { submissionId: stored.id, held: req.spam.quarantined });
+        } else {
+          logSkippedConfirmation(stored);
+        }
+
+        return stored;
+      })();
+
+      return res.status(200).json({
+        success: true,
+        requestId: outOfArea.requestId,
+        outOfArea: true,
+        message: `Thank you for reaching out. Unfortunately, ZIP code ${sanitizedData.zipCode} is outside our service area, so we can't schedule a visit there. We've emailed you more details.`
+      });
+    }
+
+    const sendConfirmation = await confirmationLimit.allow(sanitizedData.clientEmail);
+    const route = site.routing.route({
+      type: 'service',
+      serviceType: sanitizedData.serviceType,
+      urgency: sanitizedData.urgency,
+      zoneId: zone.id
+    });
+
+    // Store the submission and queue both emails together so a failed send never loses the lead
+    const submission = getDb().transaction(() => {
+      const stored = createSubmission({
+        siteId: site.id,
+        type: 'service',
         name,
         email: sanitizedData.clientEmail,
         phone: sanitizedData.phone,
         address: fullAddress,
+        zipCode: sanitizedData.zipCode,
         serviceType: sanitizedData.serviceType,
         urgency: sanitizedData.urgency,
         message: sanitizedData.description,
-        preferredDate: sanitizedData.preferredDate,
-        preferredTime: sanitizedData.preferredTime,
-        discount_claimed: sanitizedData.claimDeal,
-        dealAmount: sanitizedData.dealAmount
-      }),
-      isHTML: true,
-      headers: safeReplyTo ? { 'Reply-To': safeReplyTo } : {}
-    });
+        data: { ...sanitizedData, serviceZone: zone.id, attachments: describeAttachments(uploads), routing: route.rules }
+      });
+      holdIfSuspect(stored, req.spam);
+      scheduleEscalation(stored.id, route.escalation);
 
-    // 2. Send confirmation to Client (from authenticated user)
-    const clientEmailResult = await sendEmail({
-      to: sanitizedData.clientEmail,
-      subject: 'Service Request Confirmation',
-      content: createConfirmationEmail({
-        name,
-        serviceType: sanitizedData.serviceType,
-        phone: sanitizedData.phone,
-        preferredDate: sanitizedData.preferredDate,
-        preferredTime: sanitizedData.preferredTime,
-        submissionTime: new Date()
-      }),
-      isHTML: true
-    });
+      // Rolls the whole submission back if someone else took the last place in the slot
+      if (slot) {
+        reserveSlot(slot.id, stored.id);
+      }
+
+      // Same for a customer who has used up this deal (409)
+      if (deal) {
+        redeemDeal(deal, { email: sanitizedData.clientEmail, submissionId: stored.id });
+      }
+
+      // 1. Notify Company (recipients from the routing rules)
+      enqueueEmail({
+        from: siteSender(site),
+        to: route.to,
+        cc: route.cc,
+        bcc: route.bcc,
+        subject: withTicketToken(`Service Request from ${name}`, stored.requestId),
+        ...createCompanyEmailTemplate({
+          brand: site.brand,
+          requestId: stored.requestId,
+          submittedAt: stored.createdAt,
+          name,
+          email: sanitizedData.clientEmail,
+          phone: sanitizedData.phone,
+          address: fullAddress,
+          serviceType: sanitizedData.serviceType,
+          urgency: sanitizedData.urgency,
+          message: sanitizedData.description,
+          preferredDate: sanitizedData.preferredDate,
+          preferredTime: sanitizedData.preferredTime,
+          slotBooked: Boolean(slot),
+          zone,
+          deal,
+          attachments: describeAttachments(uploads)
+        }),
+        headers: {
+          ...ticketHeaders(stored.requestId),
+          ...(safeReplyTo && { 'Reply-To': safeReplyTo })
+        },
+        attachments: uploads
+      }, { submissionId: stored.id, held: req.spam.quarantined });
 
-    const bothSuccessful = companyEmailResult.success && clientEmailResult.success;
+      // Same lead to the webhook subscribers (chat channels, scheduling tool)
+      webhooks.publish('service_request.created', stored, { held: req.spam.quarantined });
+
+      // Urgent requests also go to the on-call phone, whatever the hour
+      if (smsProvider && shouldAlert(stored.urgency)) {
+        onCallPhones.forEach(to => enqueueSms({ to, body: urgentAlertText(stored) }, { submissionId: stored.id, held: req.spam.quarantined }));
+      }
+
+      // 2. Confirmation to Client (from authenticated user), with a tentative invite for the preferred window
+      if (sendConfirmation) {
+        const appointmentWindow = slot ? { start: slot.start, end: slot.end } : preferredWindow(sanitizedData);
+        const invite = appointmentWindow && createAppointmentInvite({
+          submission: stored,
+          type: 'tentative',
+          sequence: nextCalendarSequence(stored.id),
+          ...appointmentWindow,
+          brand: site.brand,
+          organizerEmail: site.supportAccount
+        });
+        enqueueEmail({
+          from: siteSender(site),
+          to: sanitizedData.clientEmail,
+          subject: withTicketToken(translate(sanitizedData.locale, 'serviceConfirmation.subject'), stored.requestId),
+          ...createConfirmationEmail({
+            brand: site.brand,
+            requestId: stored.requestId,
+            name,
+            serviceType: sanitizedData.serviceType,
+            phone: sanitizedData.phone,
+            preferredDate: sanitizedData.preferredDate,
+            preferredTime: sanitizedData.preferredTime,
+            submissionTime: stored.createdAt,
+            calendarAttached: Boolean(invite),
+            travelFee: zone.travelFee,
+            deal,
+            locale: sanitizedData.locale
+          }),
+          headers: ticketHeaders(stored.requestId),
+          attachments: invite ? [invite] : []
+        }, { submissionId: stored.id, held: req.spam.quarantined });
+
+        // 3. Text confirmation for customers who asked for one
+        if (smsProvider && customerConfirmationsEnabled && sanitizedData.smsOptIn) {
+          enqueueSms({
+            to: normalizePhone(sanitizedData.phone),
+            body: customerConfirmationText(stored, site.brand)
+          }, { submissionId: stored.id, held: req.spam.quarantined });
+        }
+      } else {
+        logSkippedConfirmation(stored);
+      }
+
+      return stored;
+    })();
 
     res.status(200).json({
-      success: bothSuccessful,
-      message: bothSuccessful
-        ? 'Both emails sent successfully'
-        : 'Partial email failure',
-      ...((!companyEmailResult.success || !clientEmailResult.success) && {
-        errorIds: [
-          !companyEmailResult.success ? companyEmailResult.errorId : null,
-          !clientEmailResult.success ? clientEmailResult.errorId : null
-        ].filter(Boolean)
-      })
+      success: true,
+      requestId: submission.requestId,
+      message: 'Service request received successfully'
     });
 
   } catch (error) {
-    const errorId = Date.now().toString(36) + Math.random().toString(36).substr(2);
-    console.error(`Server error [${errorId}]:`, {
+    // 409 when the chosen slot filled up after GET /availability, or the customer has used up the deal
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Server error', {
       error: error.message,
-      timestamp: new Date().toISOString(),
       endpoint: '/send-email'
     });
     
+    // The request ID, so the customer can quote it and we can find the log lines
     res.status(500).json({ 
       success: false,
       error: 'Internal server error',
-      errorId
+      errorId: req.id
     });
   }
 });
@@ -1232,11 +717,12 @@ const supportRequestValidation = [
   body('email').isEmail().normalizeEmail(),
   body('phone').optional().isMobilePhone(),
   body('subject').optional().trim().isLength({ max: 200 }).escape(),
-  body('message').trim().isLength({ min: 10, max: 2000 }).escape()
+  body('message').trim().isLength({ min: 10, max: 2000 }).escape(),
+  localeValidation
 ];
 
 // Support email route with security improvements
-app.post('/support-email', emailLimiter, supportRequestValidation, async (req, res) => {
+app.post('/support-email', emailLimiter, idempotency('/support-email'), supportRequestValidation, spamFilter.guard({ textFields: ['subject', 'message'] }), async (req, res) => {
   try {
     // Check validation results
     const errors = validationResult(req);
@@ -1262,7 +748,8 @@ app.post('/support-email', emailLimiter, supportRequestValidation, async (req, r
       email: email.toLowerCase(),
       phone: sanitizeInput(phone),
       subject: sanitizeInput(subject),
-      message: sanitizeInput(message)
+      message: sanitizeInput(message),
+      locale: resolveLocale(req)
     };
     /* Debug: Log received data
     console.log("Support request data received:", {
@@ -1277,281 +764,213 @@ app.post('/support-email', emailLimiter, supportRequestValidation, async (req, r
     const safeReplyTo = validateEmail(sanitizedData.email) ? 
       `${validateName(sanitizedData.name)} <${sanitizedData.email}>` : undefined;
 
-    // 1. Send support request to company (SUPPORT_ACCOUNT only)
-    const supportResult = await sendEmail({
-      to: process.env.SUPPORT_ACCOUNT,
-      subject: `Support Request from ${sanitizedData.name}${sanitizedData.subject ? ` - ${sanitizedData.subject}` : ''}`,
-      content: createCompanySupportTemplate({
-        name: sanitizedData.name,
-        email: sanitizedData.email,
-        phone: sanitizedData.phone,
-        message: sanitizedData.message,
-        subject: sanitizedData.subject
-      }),
-      isHTML: true,
-      headers: safeReplyTo ? { 'Reply-To': safeReplyTo } : {}
+    // The same message sent twice is one support request
+    const duplicate = !req.spam.quarantined && findDuplicate({
+      type: 'support',
+      email: sanitizedData.email,
+      siteId: req.site.id,
+      subject: sanitizedData.subject,
+      message: sanitizedData.message
     });
+    if (duplicate) {
+      foldDuplicate(duplicate, {
+        from: sanitizedData.email,
+        subject: sanitizedData.subject || 'Resubmitted support request',
+        text: sanitizedData.message
+      });
+      return res.status(200).json({
+        success: true,
+        requestId: duplicate.requestId,
+        duplicate: true,
+        message: 'Support request already received'
+      });
+    }
+
+    const sendConfirmation = await confirmationLimit.allow(sanitizedData.email);
+    const { site } = req;
+    const route = site.routing.route({ type: 'support' });
 
-    // 2. Send confirmation to client (from authenticated user)
-    const confirmationResult = await sendEmail({
-      to: sanitizedData.email,
-      subject: 'Support Request Received',
-      content: createSupportConfirmation({
+    // Store the submission and queue both emails together so a failed send never loses the request
+    const submission = getDb().transaction(() => {
+      const stored = createSubmission({
+        siteId: site.id,
+        type: 'support',
         name: sanitizedData.name,
         email: sanitizedData.email,
         phone: sanitizedData.phone,
         subject: sanitizedData.subject,
         message: sanitizedData.message,
-        submissionTime: new Date()
-      }),
-      isHTML: true
-    });
+        data: { ...sanitizedData, routing: route.rules }
+      });
+      holdIfSuspect(stored, req.spam);
+
+      // 1. Support request to company (recipients from the routing rules)
+      enqueueEmail({
+        from: siteSender(site),
+        to: route.to,
+        cc: route.cc,
+        bcc: route.bcc,
+        subject: withTicketToken(`Support Request from ${sanitizedData.name}${sanitizedData.subject ? ` - ${sanitizedData.subject}` : ''}`, stored.requestId),
+        ...createCompanySupportTemplate({
+          brand: site.brand,
+          requestId: stored.requestId,
+          submittedAt: stored.createdAt,
+          name: sanitizedData.name,
+          email: sanitizedData.email,
+          phone: sanitizedData.phone,
+          message: sanitizedData.message,
+          subject: sanitizedData.subject
+        }),
+        headers: {
+          ...ticketHeaders(stored.requestId),
+          ...(safeReplyTo && { 'Reply-To': safeReplyTo })
+        }
+      }, { submissionId: stored.id, held: req.spam.quarantined });
+      webhooks.publish('support_request.created', stored, { held: req.spam.quarantined });
+
+      // 2. Confirmation to client (from authenticated user)
+      if (sendConfirmation) {
+        enqueueEmail({
+          from: siteSender(site),
+          to: sanitizedData.email,
+          subject: withTicketToken(translate(sanitizedData.locale, 'supportConfirmation.subject'), stored.requestId),
+          ...createSupportConfirmation({
+            brand: site.brand,
+            requestId: stored.requestId,
+            name: sanitizedData.name,
+            email: sanitizedData.email,
+            phone: sanitizedData.phone,
+            subject: sanitizedData.subject,
+            message: sanitizedData.message,
+            submissionTime: stored.createdAt,
+            locale: sanitizedData.locale
+          }),
+          headers: ticketHeaders(stored.requestId)
+        }, { submissionId: stored.id, held: req.spam.quarantined });
+      } else {
+        logSkippedConfirmation(stored);
+      }
 
-    const bothSuccessful = supportResult.success && confirmationResult.success;
+      return stored;
+    })();
 
     res.status(200).json({
-      success: bothSuccessful,
-      message: bothSuccessful 
-        ? 'Support request submitted successfully' 
-        : 'Partial email failure',
-      ...((!supportResult.success || !confirmationResult.success) && {
-        errorIds: [
-          !supportResult.success ? supportResult.errorId : null,
-          !confirmationResult.success ? confirmationResult.errorId : null
-        ].filter(Boolean)
-      })
+      success: true,
+      requestId: submission.requestId,
+      message: 'Support request submitted successfully'
     });
 
   } catch (error) {
-    const errorId = Date.now().toString(36) + Math.random().toString(36).substr(2);
-    console.error(`Server error [${errorId}]:`, {
+    logger.error('Server error', {
       error: error.message,
-      timestamp: new Date().toISOString(),
       endpoint: '/support-email'
     });
     
     res.status(500).json({ 
       success: false,
       error: 'Internal server error',
-      errorId
+      errorId: req.id
     });
   }
 });
 
-// Enhanced support confirmation template with Maine Drain Busters branding (Client Confirmation)
-const createSupportConfirmation = ({ name, email, phone, subject, message, submissionTime }) => {
-  // Format date and time information
-  const formattedSubmissionTime = new Date(submissionTime || Date.now()).toLocaleString();
-  
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Support Request Confirmation</title>
-    <style>
-        /* Base Styles */
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-        }
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
-            background-color: #f4f4f4;
-            line-height: 1.5;
-            color: #333333;
-        }
-        /* Responsive Styles */
-        .wrapper {
-            max-width: 600px;
-            margin: 0 auto;
-        }
-        .container {
-            background-color: #ffffff;
-            border-radius: 8px;
-            overflow: hidden;
-            box-shadow: 0 4px 10px rgba(0,0,0,0.1);
-        }
-        .header {
-            background-color: #092158;
-            padding: 25px 20px;
-            text-align: center;
-            border-bottom: 4px solid rgb(255, 222, 6);
-        }
-        .header h1 {
-            color: rgb(255, 255, 253);
-            font-size: 22px;
-            margin: 0;
-        }
-        .header p {
-            color: rgb(255, 222, 6);
-            font-size: 16px;
-            margin: 5px 0 0;
-        }
-        .content {
-            padding: 30px;
-        }
-        .confirmation-box {
-            background-color: #f9f9f9;
-            border-left: 4px solid #28a745;
-            padding: 20px;
-            margin-bottom: 25px;
-        }
-        .confirmation-box h2 {
-            color: #28a745;
-            font-size: 18px;
-            margin-bottom: 10px;
-        }
-        .support-details {
-            background-color: #f5f8ff;
-            border-radius: 8px;
-            padding: 20px;
-            margin: 25px 0;
-        }
-        .detail-row {
-            display: flex;
-            margin-bottom: 12px;
-            flex-wrap: wrap;
-        }
-        .detail-label {
-            width: 130px;
-            font-weight: bold;
-            color: #092158;
-        }
-        .detail-value {
-            flex: 1;
-            color: #333;
-        }
-        .message-preview {
-            background-color: #f8f9fa;
-            border: 1px solid #e9ecef;
-            border-radius: 8px;
-            padding: 15px;
-            margin: 20px 0;
-            font-style: italic;
-            color: #495057;
-        }
-            padding: 10px;
-            text-align: center;
-            border-radius: 4px 4px 0 0;
-            margin: 15px 0 0 0;
-            font-size: 14px;
-            font-weight: bold;
-        }
-        .footer {
-            background-color: #092158;
-            padding: 20px;
-            text-align: center;
-        }
-        .footer p {
-            margin: 5px 0;
-            font-size: 14px;
-            color: rgb(255, 255, 253);
-        }
-        .footer .highlight {
-            color: rgb(255, 222, 6);
-        }
-        
-        .status-badge {
-            display: inline-block;
-            background-color: #28a745;
-            color: white;
-            padding: 5px 15px;
-            border-radius: 50px;
-            font-weight: bold;
-            font-size: 14px;
-            margin: 10px 0;
-        }
-        
-        /* Responsive adjustments */
-        @media screen and (max-width: 600px) {
-            .wrapper {
-                width: 100%;
-                padding: 10px;
-            }
-            .content {
-                padding: 20px;
-            }
-            .detail-row {
-                flex-direction: column;
-                margin-bottom: 15px;
-            }
-            .detail-label {
-                width: 100%;
-                margin-bottom: 5px;
-            }
-        }
-    </style>
-</head>
-<body>
-    <div class="wrapper">
-        <div class="container">
-            <!-- Header -->
-            <div class="header">
-                <h1>MAINE DRAIN BUSTERS</h1>
-                <p>Support Request Confirmation</p>
-            </div>
-            
-            <!-- Content -->
-            <div class="content">
-                <p style="margin-bottom: 20px; font-size: 16px;">Dear <strong>${name}</strong>,</p>
-                
-                <div class="confirmation-box">
-                    <h2>✓ Your Support Request Has Been Received</h2>
-                    <p>Thank you for contacting Maine Drain Busters. <Strong>We'll Get Back to You Within 24 Hours</Strong></p>
-                    <div class="status-badge">RECEIVED</div>
-                </div>
-                
-                <div class="support-details">
-                    <div class="detail-row">
-                        <div class="detail-label">Subject:</div>
-                        <div class="detail-value"><strong>${subject || 'General Support'}</strong></div>
-                    </div>
-                    <div class="detail-row">
-                        <div class="detail-label">Contact Email:</div>
-                        <div class="detail-value"><strong>${email}</strong></div>
-                    </div>
-                    <div class="detail-row">
-                        <div class="detail-label">Contact Phone:</div>
-                        <div class="detail-value"><strong>${phone || 'Not provided'}</strong></div>
-                    </div>
-                    <div class="detail-row">
-                        <div class="detail-label">Submitted:</div>
-                        <div class="detail-value"><strong>${formattedSubmissionTime}</strong></div>
-                    </div>
-                </div>
-                
-                <div class="message-preview">
-                    <p><strong>Your message:</strong></p>
-                    <p>${message}</p>
-                </div>
-                
-            </div>
-            
-            <!-- Footer -->
-            <div class="footer">
-                <p class="highlight">Professional Plumbing & Drainage Services</p>
-                <p>Serving Greater Portland, Maine & Surrounding Areas</p>
-                <p>© ${new Date().getFullYear()} Maine Drain Busters</p>
-            </div>
-        </div>
-    </div>
-</body>
-</html>`;
+// Email the customer about key status changes (scheduled, completed, cancelled)
+// Calendar update for a status change: the confirmed slot when scheduling, a cancellation
+// only if the customer was ever sent an invite to remove
+const statusChangeInvite = (submission, site) => {
+  if (submission.status === 'scheduled') {
+    return createAppointmentInvite({
+      submission,
+      type: 'confirmed',
+      sequence: nextCalendarSequence(submission.id),
+      start: new Date(submission.scheduledFor),
+      brand: site.brand,
+      organizerEmail: site.supportAccount
+    });
+  }
+
+  if (submission.status === 'cancelled' && submission.calendarSequence !== null) {
+    const appointmentWindow = submission.scheduledFor
+      ? { start: new Date(submission.scheduledFor) }
+      : preferredWindow(submission.data);
+    if (!appointmentWindow) return null;
+
+    return createAppointmentInvite({
+      submission,
+      type: 'cancelled',
+      sequence: nextCalendarSequence(submission.id),
+      ...appointmentWindow,
+      brand: site.brand,
+      organizerEmail: site.supportAccount
+    });
+  }
+
+  return null;
+};
+
+const notifyStatusChange = ({ submission, previousStatus, customerMessage }) => {
+  if (!NOTIFIED_STATUSES.includes(submission.status)) return;
+
+  const site = sites.get(submission.siteId);
+  const invite = statusChangeInvite(submission, site);
+
+  const rescheduled = previousStatus === 'scheduled' && submission.status === 'scheduled';
+  // Requests from before translations were added have no locale
+  const locale = submission.data.locale || DEFAULT_LOCALE;
+  enqueueEmail({
+    from: siteSender(site),
+    to: submission.email,
+    subject: withTicketToken(statusEmailSubject(submission.status, { rescheduled, locale }), submission.requestId),
+    ...createStatusUpdateEmail({
+      brand: site.brand,
+      requestId: submission.requestId,
+      name: submission.name,
+      serviceType: submission.serviceType,
+      status: submission.status,
+      scheduledFor: submission.scheduledFor,
+      customerMessage,
+      locale
+    }),
+    headers: ticketHeaders(submission.requestId),
+    attachments: invite ? [invite] : []
+  }, { submissionId: submission.id });
 };
 
+// Admin API (API key or JWT with role)
+if (!adminAuth.isConfigured()) {
+  logger.warn('Admin API disabled: set ADMIN_API_KEYS or ADMIN_JWT_SECRET to enable /admin');
+}
+app.use('/admin', adminAuthLimiter, adminAuth.authenticate, createAdminRouter({
+  onStatusChange: (change) => {
+    notifyStatusChange(change);
+    webhooks.publish('service_request.status_changed', change.submission, {
+      previousStatus: change.previousStatus,
+      changedBy: change.actor
+    });
+  }
+}));
+
+// STOP / START replies from the SMS provider
+if (smsProvider) {
+  app.use('/sms', createSmsRouter({ provider: smsProvider }));
+}
+
+// Email template previews, never mounted outside development
+if (process.env.NODE_ENV === 'development') {
+  app.use('/dev/emails', createDevEmailRouter());
+  logger.info('Email previews available at /dev/emails');
+}
+
 // Global error handler for handling payload size and other errors
 app.use((error, req, res, next) => {
-  const errorId = Date.now().toString(36) + Math.random().toString(36).substr(2);
+  const errorId = req.id;
   
   // Handle payload too large errors
   if (error.status === 413 || error.type === 'entity.too.large' || error.message.includes('request entity too large')) {
-    console.error(`Payload too large error [${errorId}]:`, {
+    logger.error('Payload too large error', {
       error: 'Request payload exceeds size limit',
       ip: req.ip,
-      endpoint: req.path,
-      timestamp: new Date().toISOString()
+      endpoint: requestPath(req)
     });
     
     return res.status(413).json({
@@ -1563,11 +982,10 @@ app.use((error, req, res, next) => {
   
   // Handle validation errors from express-validator
   if (error.type === 'entity.parse.failed') {
-    console.error(`JSON parse error [${errorId}]:`, {
+    logger.error('JSON parse error', {
       error: 'Invalid JSON in request body',
       ip: req.ip,
-      endpoint: req.path,
-      timestamp: new Date().toISOString()
+      endpoint: requestPath(req)
     });
     
     return res.status(400).json({
@@ -1578,12 +996,11 @@ app.use((error, req, res, next) => {
   }
   
   // Handle other errors
-  console.error(`Unhandled error [${errorId}]:`, {
+  logger.error('Unhandled error', {
     error: error.message,
     stack: error.stack,
     ip: req.ip,
-    endpoint: req.path,
-    timestamp: new Date().toISOString()
+    endpoint: requestPath(req)
   });
   
   res.status(500).json({
@@ -1594,5 +1011,40 @@ app.use((error, req, res, next) => {
 });
 
 app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+  logger.info(`Server running on port ${PORT} (mail transport: ${mailTransport.name})`);
+  startOutboxWorker({ email: sendEmail, sms: smsProvider ? sendSms : undefined });
+  startWebhookWorker(webhooks);
+
+  // Service requests still new after their routing rule's delay go to its escalation list
+  startEscalationWorker((submission, recipients) => {
+    const site = sites.get(submission.siteId);
+    enqueueEmail({
+      from: siteSender(site),
+      to: recipients,
+      subject: withTicketToken(`Escalated: Service Request from ${submission.name}`, submission.requestId),
+      ...createEscalationEmail({
+        brand: site.brand,
+        requestId: submission.requestId,
+        submittedAt: submission.createdAt,
+        name: submission.name,
+        email: submission.email,
+        phone: submission.phone,
+        address: submission.address,
+        serviceType: submission.serviceType,
+        urgency: submission.urgency,
+        waitingMinutes: Math.round((Date.now() - new Date(submission.createdAt).getTime()) / 60000)
+      }),
+      headers: ticketHeaders(submission.requestId)
+    }, { submissionId: submission.id });
+  });
+
+  // Thread customer replies from the sites' mailboxes onto their tickets
+  try {
+    if (startInboundPoller({ mailboxes: sites.sites.map(site => site.supportAccount) })) {
+      logger.info(`Inbound mail polling enabled (${process.env.INBOUND_SOURCE})`);
+    }
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
 });
\ No newline at end of file
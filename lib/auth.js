@@ -0,0 +1,98 @@
+// Authentication for staff-facing endpoints: API keys or HS256 JWTs, each carrying a role
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Higher roles include the permissions of lower ones
+const ROLE_LEVELS = {
+  viewer: 1,
+  staff: 2,
+  admin: 3
+};
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest();
+
+// ADMIN_API_KEYS=office:<key>:staff,owner:<key>:admin
+const parseApiKeys = (value = '') => value
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map((entry) => {
+    const [name, key, role] = entry.split(':');
+    if (!name || !key || !ROLE_LEVELS[role]) {
+      throw new Error(`Invalid ADMIN_API_KEYS entry for "${name || entry.slice(0, 3)}": expected name:key:role`);
+    }
+    return { name, keyHash: hash(key), role };
+  });
+
+const verifyJwt = (token) => {
+  if (!process.env.ADMIN_JWT_SECRET) return null;
+
+  try {
+    const claims = jwt.verify(token, process.env.ADMIN_JWT_SECRET, {
+      algorithms: ['HS256'],
+      issuer: process.env.ADMIN_JWT_ISSUER || undefined,
+      audience: process.env.ADMIN_JWT_AUDIENCE || undefined
+    });
+    const role = claims.role || (Array.isArray(claims.roles) ? claims.roles.find(r => ROLE_LEVELS[r]) : undefined);
+    if (!claims.sub || !ROLE_LEVELS[role]) return null;
+    return { id: claims.sub, role, method: 'jwt' };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Read ADMIN_API_KEYS at startup; throws on a malformed entry. Returns { isConfigured(), authenticate }
+// where authenticate resolves req.principal from "Authorization: Bearer <jwt>" or "X-API-Key: <key>".
+const createAuthenticator = () => {
+  const apiKeys = parseApiKeys(process.env.ADMIN_API_KEYS);
+
+  const isConfigured = () => apiKeys.length > 0 || Boolean(process.env.ADMIN_JWT_SECRET);
+
+  // Compare hashes in constant time so key checks do not leak timing
+  const findApiKey = (key) => {
+    const keyHash = hash(key);
+    return apiKeys.find(entry => crypto.timingSafeEqual(entry.keyHash, keyHash));
+  };
+
+  const authenticate = (req, res, next) => {
+    const apiKey = req.get('X-API-Key');
+    const authorization = req.get('Authorization') || '';
+    let principal = null;
+
+    if (apiKey) {
+      const entry = findApiKey(apiKey);
+      principal = entry && { id: entry.name, role: entry.role, method: 'api-key' };
+    } else if (authorization.startsWith('Bearer ')) {
+      principal = verifyJwt(authorization.slice(7).trim());
+    }
+
+    if (!principal) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    req.principal = principal;
+    next();
+  };
+
+  return { authenticate, isConfigured };
+};
+
+// Allow the request when the principal's role is at least `role`
+const requireRole = (role) => (req, res, next) => {
+  if (!req.principal || ROLE_LEVELS[req.principal.role] < ROLE_LEVELS[role]) {
+    return res.status(403).json({
+      success: false,
+      error: 'Insufficient permissions'
+    });
+  }
+  next();
+};
+
+module.exports = {
+  ROLE_LEVELS,
+  createAuthenticator,
+  requireRole
+};
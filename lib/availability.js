@@ -0,0 +1,153 @@
+// Bookable appointment slots from business hours, holidays and per-slot capacity
+const { getDb } = require('./db');
+const { BUSINESS_TIMEZONE, addDays, businessDay, businessTimeToDate, weekday } = require('./timezone');
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// "mon-fri=08:00-17:00,sat=09:00-13:00" → { 1: { open: 480, close: 1020 }, ... } (minutes after midnight)
+const parseBusinessHours = (value) => value.split(',').map(entry => entry.trim()).filter(Boolean).reduce((hours, entry) => {
+  const match = entry.toLowerCase().match(/^([a-z]{3})(?:-([a-z]{3}))?=(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/);
+  const first = match ? WEEKDAYS.indexOf(match[1]) : -1;
+  const last = match ? WEEKDAYS.indexOf(match[2] || match[1]) : -1;
+  const open = match && Number(match[3]) * 60 + Number(match[4]);
+  const close = match && Number(match[5]) * 60 + Number(match[6]);
+  if (first < 0 || last < 0 || close <= open) {
+    throw new Error(`Invalid BUSINESS_HOURS entry "${entry}". Expected e.g. mon-fri=08:00-17:00`);
+  }
+
+  // Ranges may wrap around the week, e.g. fri-mon
+  let day = first;
+  do {
+    hours[day] = { open, close };
+    day = (day + 1) % 7;
+  } while (day !== (last + 1) % 7);
+  return hours;
+}, {});
+
+const config = {
+  businessHours: parseBusinessHours(process.env.BUSINESS_HOURS || 'mon-fri=08:00-17:00,sat=09:00-13:00'),
+  holidays: new Set((process.env.HOLIDAYS || '').split(',').map(day => day.trim()).filter(Boolean)),
+  slotMinutes: parseInt(process.env.SLOT_DURATION_MINUTES, 10) || 120,
+  capacity: parseInt(process.env.SLOT_CAPACITY, 10) || 2,
+  daysAhead: parseInt(process.env.BOOKING_DAYS_AHEAD, 10) || 30,
+  minLeadHours: parseInt(process.env.BOOKING_MIN_LEAD_HOURS, 10) || 12
+};
+
+const SLOT_ID_PATTERN = /^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})$/;
+
+const isOpenDay = (day) => Boolean(config.businessHours[weekday(day)]) && !config.holidays.has(day);
+
+const formatTime = (date) => date.toLocaleTimeString('en-US', { timeZone: BUSINESS_TIMEZONE, hour: 'numeric', minute: '2-digit' });
+
+// Slot IDs are the local start time, e.g. "2025-01-16T08:00"
+const toSlot = (day, startMinutes) => {
+  const start = businessTimeToDate(day, Math.floor(startMinutes / 60), startMinutes % 60);
+  const end = new Date(start.getTime() + config.slotMinutes * 60 * 1000);
+  const time = `${String(Math.floor(startMinutes / 60)).padStart(2, '0')}:${String(startMinutes % 60).padStart(2, '0')}`;
+  return {
+    id: `${day}T${time}`,
+    date: day,
+    start,
+    end,
+    label: `${formatTime(start)} – ${formatTime(end)}`
+  };
+};
+
+// Every slot of a day that fits entirely within business hours
+const daySlots = (day) => {
+  if (!isOpenDay(day)) return [];
+  const { open, close } = config.businessHours[weekday(day)];
+  const slots = [];
+  for (let start = open; start + config.slotMinutes <= close; start += config.slotMinutes) {
+    slots.push(toSlot(day, start));
+  }
+  return slots;
+};
+
+// First and last bookable days, in business time
+const bookingWindow = (now = new Date()) => {
+  const firstDay = businessDay(now);
+  return { firstDay, lastDay: addDays(firstDay, config.daysAhead) };
+};
+
+const isBookable = (slot, now = new Date()) => {
+  const { lastDay } = bookingWindow(now);
+  return slot.start.getTime() >= now.getTime() + config.minLeadHours * 60 * 60 * 1000 && slot.date <= lastDay;
+};
+
+const reservationCounts = (slotIds) => {
+  if (slotIds.length === 0) return {};
+  return getDb().prepare(`
+    SELECT slot_id, COUNT(*) AS count FROM slot_reservations
+    WHERE slot_id IN (${slotIds.map(() => '?').join(', ')})
+    GROUP BY slot_id
+  `).all(...slotIds).reduce((counts, row) => ({ ...counts, [row.slot_id]: row.count }), {});
+};
+
+// Open slots between two days (inclusive), clamped to the booking window
+const listAvailability = ({ from, days = 14 } = {}) => {
+  const now = new Date();
+  const { firstDay, lastDay } = bookingWindow(now);
+  const startDay = from && from > firstDay ? from : firstDay;
+
+  const slots = [];
+  for (let day = startDay, i = 0; i < days && day <= lastDay; day = addDays(day, 1), i += 1) {
+    slots.push(...daySlots(day).filter(slot => isBookable(slot, now)));
+  }
+
+  const counts = reservationCounts(slots.map(slot => slot.id));
+  return slots
+    .map(slot => ({ ...slot, remaining: config.capacity - (counts[slot.id] || 0) }))
+    .filter(slot => slot.remaining > 0)
+    .map(({ id, date, start, end, label, remaining }) => ({
+      id,
+      date,
+      start: start.toISOString(),
+      end: end.toISOString(),
+      label,
+      remaining
+    }));
+};
+
+// Preferred dates (without a slot) must still be a future day we are open
+const isBookableDay = (day) => {
+  const { firstDay, lastDay } = bookingWindow();
+  return day >= firstDay && day <= lastDay && isOpenDay(day);
+};
+
+// The slot for an ID if it is one we currently offer (capacity aside), otherwise null
+const findSlot = (slotId) => {
+  const match = SLOT_ID_PATTERN.exec(slotId || '');
+  if (!match) return null;
+  const slot = daySlots(match[1]).find(candidate => candidate.id === slotId);
+  return slot && isBookable(slot) ? slot : null;
+};
+
+// Claim a place in a slot; the capacity check and insert are one statement, so concurrent
+// bookings cannot both take the last place. Throws with status 409 when the slot is full.
+const reserveSlot = (slotId, submissionId) => {
+  const { changes } = getDb().prepare(`
+    INSERT INTO slot_reservations (slot_id, submission_id, created_at)
+    SELECT @slotId, @submissionId, @createdAt
+    WHERE (SELECT COUNT(*) FROM slot_reservations WHERE slot_id = @slotId) < @capacity
+  `).run({ slotId, submissionId, createdAt: new Date().toISOString(), capacity: config.capacity });
+
+  if (changes === 0) {
+    const error = new Error('That appointment slot has just been booked. Please choose another time.');
+    error.status = 409;
+    throw error;
+  }
+};
+
+// Give a submission's slot back (cancelled requests)
+const releaseSlot = (submissionId) => {
+  getDb().prepare('DELETE FROM slot_reservations WHERE submission_id = ?').run(submissionId);
+};
+
+module.exports = {
+  findSlot,
+  isBookableDay,
+  listAvailability,
+  releaseSlot,
+  reserveSlot
+};
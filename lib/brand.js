@@ -0,0 +1,94 @@
+// Brand details shown to customers (name, logo, contact details, colours, tagline, service region),
+// kept in config so marketing can change them without touching code
+const path = require('path');
+const { isEmail, isURL } = require('validator');
+const { loadConfigFile } = require('./config');
+const { normalizePhone } = require('./phone');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES } = require('./i18n');
+
+const DEFAULT_BRAND_FILE = path.join(__dirname, '..', 'config', 'brand.json');
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const COLORS = ['primary', 'accent', 'accentBackground'];
+const LOCALIZED_FIELDS = ['tagline', 'serviceRegion'];
+
+const isHttpsUrl = value => typeof value === 'string' && isURL(value, { protocols: ['https'], require_protocol: true });
+
+// Problems with the brand: contact details, URLs, localized text and colours
+const validateBrand = (brand) => {
+  const problems = [];
+
+  if (!brand || typeof brand !== 'object') {
+    return ['the file must contain an object'];
+  }
+
+  if (typeof brand.name !== 'string' || !brand.name.trim() || brand.name.length > 100) {
+    problems.push('"name" must be 1-100 characters');
+  }
+  if (brand.logoUrl !== undefined && brand.logoUrl !== null && !isHttpsUrl(brand.logoUrl)) {
+    problems.push('"logoUrl" must be an https URL or null');
+  }
+  if (typeof brand.phone !== 'string' || !normalizePhone(brand.phone)) {
+    problems.push('"phone" must be a phone number');
+  }
+  if (typeof brand.email !== 'string' || !isEmail(brand.email)) {
+    problems.push('"email" must be an email address');
+  }
+  if (!isHttpsUrl(brand.website)) {
+    problems.push('"website" must be an https URL');
+  }
+
+  // One string for every language, or { "en": ..., "fr": ... } with English required
+  LOCALIZED_FIELDS.forEach((field) => {
+    const value = brand[field];
+    if (typeof value === 'string' && value.trim()) return;
+    if (!value || typeof value !== 'object' || typeof value[DEFAULT_LOCALE] !== 'string') {
+      problems.push(`"${field}" must be a string or an object with at least "${DEFAULT_LOCALE}"`);
+      return;
+    }
+    Object.entries(value).forEach(([locale, text]) => {
+      if (!SUPPORTED_LOCALES.includes(locale)) {
+        problems.push(`"${field}": unknown locale "${locale}" (expected ${SUPPORTED_LOCALES.join(', ')})`);
+      } else if (typeof text !== 'string' || !text.trim()) {
+        problems.push(`"${field}.${locale}" must be a non-empty string`);
+      }
+    });
+  });
+
+  const colors = brand.colors || {};
+  COLORS.forEach((color) => {
+    if (!COLOR_PATTERN.test(colors[color] || '')) {
+      problems.push(`"colors.${color}" must be a #rrggbb colour`);
+    }
+  });
+
+  return problems;
+};
+
+// Load and validate a brand file
+const loadBrand = (filePath = process.env.BRAND_FILE || DEFAULT_BRAND_FILE) => {
+  const brand = loadConfigFile(filePath, { description: 'brand', validate: validateBrand });
+  return { logoUrl: null, ...brand };
+};
+
+let defaultBrand = null;
+
+// The brand from BRAND_FILE, loaded on first use
+const getBrand = () => {
+  if (!defaultBrand) {
+    defaultBrand = loadBrand();
+  }
+  return defaultBrand;
+};
+
+// tagline / serviceRegion in the customer's language, falling back to English
+const brandText = (brand, field, locale = DEFAULT_LOCALE) => {
+  const value = brand[field];
+  return typeof value === 'string' ? value : value[locale] || value[DEFAULT_LOCALE];
+};
+
+module.exports = {
+  brandText,
+  getBrand,
+  loadBrand
+};
@@ -0,0 +1,122 @@
+// iCalendar (.ics) appointment invites; every update for a request reuses its UID with a higher SEQUENCE
+const { unescape } = require('validator');
+const { businessTimeToDate } = require('./timezone');
+const { getBrand } = require('./brand');
+
+const DEFAULT_WINDOW = { start: 8, end: 17 }; // whole business day
+const APPOINTMENT_DURATION_MS = (parseInt(process.env.APPOINTMENT_DURATION_MINUTES, 10) || 120) * 60 * 1000;
+
+// Free-text preferredTime → tentative window in local hours
+const TIME_WINDOWS = [
+  { pattern: /morning/i, start: 8, end: 12 },
+  { pattern: /afternoon/i, start: 12, end: 17 },
+  { pattern: /evening/i, start: 17, end: 20 }
+];
+
+// Parse "2:30 pm" / "14:30" into a two-hour window; named periods map to fixed windows
+const parseTimeWindow = (preferredTime = '') => {
+  const clock = preferredTime.match(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\b/i);
+  if (clock && (clock[2] || clock[3])) {
+    const meridiem = clock[3] && clock[3].toLowerCase();
+    let hours = Number(clock[1]);
+    if (meridiem === 'pm' && hours < 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+    return { start: hours, startMinutes: Number(clock[2] || 0), end: hours + 2 };
+  }
+
+  return TIME_WINDOWS.find(window => window.pattern.test(preferredTime)) || DEFAULT_WINDOW;
+};
+
+// Tentative window from the customer's preferred date and time; null when no date was given
+const preferredWindow = ({ preferredDate, preferredTime }) => {
+  if (!preferredDate || !/^\d{4}-\d{2}-\d{2}$/.test(preferredDate)) return null;
+  const window = parseTimeWindow(unescape(preferredTime || ''));
+  return {
+    start: businessTimeToDate(preferredDate, window.start, window.startMinutes || 0),
+    end: businessTimeToDate(preferredDate, window.end, window.startMinutes || 0)
+  };
+};
+
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// RFC 5545 text escaping
+const escapeText = (value = '') => unescape(String(value))
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line with a leading space
+const foldLine = (line) => {
+  const chunks = [];
+  let rest = Buffer.from(line, 'utf8');
+  while (rest.length > 75) {
+    let cut = chunks.length === 0 ? 75 : 74;
+    while ((rest[cut] & 0xc0) === 0x80) cut -= 1; // do not split a UTF-8 sequence
+    chunks.push(rest.subarray(0, cut).toString('utf8'));
+    rest = rest.subarray(cut);
+  }
+  chunks.push(rest.toString('utf8'));
+  return chunks.join('\r\n ');
+};
+
+const buildCalendar = ({ uid, sequence, method, status, start, end, summary, description, location, organizer, attendee }) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  `PRODID:-//${escapeText(organizer.name)}//Service Requests//EN`,
+  'CALSCALE:GREGORIAN',
+  `METHOD:${method}`,
+  'BEGIN:VEVENT',
+  `UID:${uid}`,
+  `SEQUENCE:${sequence}`,
+  `DTSTAMP:${formatUtc(new Date())}`,
+  `DTSTART:${formatUtc(start)}`,
+  `DTEND:${formatUtc(end)}`,
+  `STATUS:${status}`,
+  `SUMMARY:${escapeText(summary)}`,
+  `DESCRIPTION:${escapeText(description)}`,
+  ...(location ? [`LOCATION:${escapeText(location)}`] : []),
+  `ORGANIZER;CN=${escapeText(organizer.name)}:mailto:${organizer.email}`,
+  `ATTENDEE;CN=${escapeText(attendee.name)};ROLE=REQ-PARTICIPANT;RSVP=FALSE:mailto:${attendee.email}`,
+  'TRANSP:OPAQUE',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].map(foldLine).join('\r\n') + '\r\n';
+
+const EVENT_TYPES = {
+  tentative: { method: 'REQUEST', status: 'TENTATIVE', label: 'requested' },
+  confirmed: { method: 'REQUEST', status: 'CONFIRMED', label: 'scheduled' },
+  cancelled: { method: 'CANCEL', status: 'CANCELLED', label: 'cancelled' }
+};
+
+// Attachment for sendEmail: { filename, content (base64), contentType, encoding }
+const createAppointmentInvite = ({ submission, type, sequence, start, end, brand = getBrand(), organizerEmail = process.env.SUPPORT_ACCOUNT }) => {
+  const event = EVENT_TYPES[type];
+  const ics = buildCalendar({
+    // Calendars match updates to the invite they already have by UID, so it must not change for a
+    // request: the brand's website domain is fixed per site (mainedrainbusters.com for the default brand)
+    uid: `${submission.requestId}@${new URL(brand.website).hostname.replace(/^www\./, '')}`,
+    sequence,
+    method: event.method,
+    status: event.status,
+    start,
+    end: end || new Date(start.getTime() + APPOINTMENT_DURATION_MS),
+    summary: `${brand.name}: ${submission.serviceType || 'Service'} appointment (${event.label})`,
+    description: `Request ID: ${submission.requestId}\nQuestions? Call ${brand.phone} or email ${brand.email}`,
+    location: submission.address,
+    organizer: { name: brand.name, email: organizerEmail },
+    attendee: { name: submission.name, email: submission.email }
+  });
+
+  return {
+    filename: type === 'cancelled' ? 'appointment-cancelled.ics' : 'appointment.ics',
+    content: Buffer.from(ics, 'utf8').toString('base64'),
+    contentType: `text/calendar; charset=utf-8; method=${event.method}`,
+    encoding: 'base64'
+  };
+};
+
+module.exports = {
+  createAppointmentInvite,
+  preferredWindow
+};
@@ -0,0 +1,72 @@
+// Pluggable CAPTCHA verification selected by CAPTCHA_PROVIDER (turnstile, recaptcha, hcaptcha, stub; unset = off)
+const { logger } = require('./logger');
+
+const VERIFY_TIMEOUT_MS = 5000;
+
+// Hosted providers share the same siteverify form POST and { success } response
+const SITEVERIFY_URLS = {
+  turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+  recaptcha: 'https://www.google.com/recaptcha/api/siteverify',
+  hcaptcha: 'https://api.hcaptcha.com/siteverify'
+};
+
+const createSiteverifyProvider = (name) => ({
+  requiredEnv: ['CAPTCHA_SECRET'],
+  create: () => ({
+    name,
+    verify: async (token, remoteIp) => {
+      if (!token) return false;
+
+      try {
+        const response = await fetch(SITEVERIFY_URLS[name], {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          body: new URLSearchParams({ secret: process.env.CAPTCHA_SECRET, response: token, remoteip: remoteIp || '' }),
+          signal: AbortSignal.timeout(VERIFY_TIMEOUT_MS)
+        });
+        const result = await response.json();
+        return result.success === true;
+      } catch (error) {
+        // A provider outage should not take the contact forms down with it; the other spam checks still run
+        logger.error('CAPTCHA verification unavailable, allowing submission', {
+          provider: name,
+          error: error.message
+        });
+        return true;
+      }
+    }
+  })
+});
+
+const providers = {
+  turnstile: createSiteverifyProvider('turnstile'),
+  recaptcha: createSiteverifyProvider('recaptcha'),
+  hcaptcha: createSiteverifyProvider('hcaptcha'),
+  // Local development and tests: only CAPTCHA_STUB_TOKEN (default "pass") verifies
+  stub: {
+    requiredEnv: [],
+    create: () => ({
+      name: 'stub',
+      verify: async token => token === (process.env.CAPTCHA_STUB_TOKEN || 'pass')
+    })
+  }
+};
+
+// Returns null when CAPTCHA is turned off
+const createCaptchaVerifier = (name = process.env.CAPTCHA_PROVIDER) => {
+  if (!name || name === 'off') return null;
+
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown CAPTCHA_PROVIDER "${name}". Expected one of: ${Object.keys(providers).join(', ')}, off`);
+  }
+
+  const missing = provider.requiredEnv.filter(env => !process.env[env]);
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables for ${name} CAPTCHA: ${missing.join(', ')}`);
+  }
+
+  return provider.create();
+};
+
+module.exports = { createCaptchaVerifier };
@@ -0,0 +1,32 @@
+// JSON config files read at startup. Validators collect every problem rather than stopping at the
+// first, so one restart shows everything a bad edit broke.
+const fs = require('fs');
+
+// Parsed JSON; the error names the file and what it was meant to hold
+const readConfigFile = (filePath, description) => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ${description} from ${filePath}: ${error.message}`);
+  }
+};
+
+// One error listing every problem, or nothing when there are none
+const assertValid = (problems, heading) => {
+  if (problems.length > 0) {
+    throw new Error(`${heading}:\n  - ${problems.join('\n  - ')}`);
+  }
+};
+
+// Read a config file and check it; validate(definition) returns a list of problems
+const loadConfigFile = (filePath, { description, validate }) => {
+  const definition = readConfigFile(filePath, description);
+  assertValid(validate(definition), `Invalid ${description} in ${filePath}`);
+  return definition;
+};
+
+module.exports = {
+  assertValid,
+  loadConfigFile,
+  readConfigFile
+};
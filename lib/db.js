@@ -0,0 +1,258 @@
+// SQLite database shared by submissions and the other persisted subsystems
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Schema migrations, applied in order and tracked with PRAGMA user_version
+const migrations = [
+  `
+  CREATE TABLE submissions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    request_id TEXT NOT NULL UNIQUE,
+    type TEXT NOT NULL CHECK (type IN ('service', 'support')),
+    status TEXT NOT NULL DEFAULT 'new',
+    name TEXT NOT NULL,
+    email TEXT NOT NULL,
+    phone TEXT,
+    address TEXT,
+    zip_code TEXT,
+    service_type TEXT,
+    urgency TEXT,
+    subject TEXT,
+    message TEXT,
+    data TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_submissions_created_at ON submissions (created_at);
+  CREATE INDEX idx_submissions_email ON submissions (email);
+
+  CREATE TABLE request_counters (
+    day TEXT NOT NULL,
+    prefix TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    PRIMARY KEY (day, prefix)
+  );
+  `,
+  `
+  CREATE TABLE outbox (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    submission_id INTEGER REFERENCES submissions (id),
+    message TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'dead')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TEXT NOT NULL,
+    last_error TEXT,
+    message_id TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_outbox_due ON outbox (status, next_attempt_at);
+  `,
+  `
+  ALTER TABLE submissions ADD COLUMN scheduled_for TEXT;
+
+  CREATE TABLE status_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    submission_id INTEGER NOT NULL REFERENCES submissions (id),
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+    actor TEXT NOT NULL,
+    note TEXT,
+    scheduled_for TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_status_history_submission ON status_history (submission_id);
+  `,
+  `
+  CREATE TABLE ticket_messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    submission_id INTEGER NOT NULL REFERENCES submissions (id),
+    message_id TEXT NOT NULL UNIQUE,
+    from_address TEXT NOT NULL,
+    subject TEXT,
+    body_text TEXT,
+    source TEXT NOT NULL,
+    received_at TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_ticket_messages_submission ON ticket_messages (submission_id);
+  `,
+  `
+  ALTER TABLE submissions ADD COLUMN calendar_sequence INTEGER;
+  `,
+  `
+  CREATE TABLE slot_reservations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    slot_id TEXT NOT NULL,
+    submission_id INTEGER NOT NULL UNIQUE REFERENCES submissions(id),
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_slot_reservations_slot ON slot_reservations (slot_id);
+  `,
+  `
+  CREATE TABLE deal_redemptions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    deal_code TEXT NOT NULL,
+    customer_email TEXT NOT NULL,
+    submission_id INTEGER NOT NULL UNIQUE REFERENCES submissions(id),
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_deal_redemptions_customer ON deal_redemptions (deal_code, customer_email);
+  `,
+  `
+  ALTER TABLE submissions ADD COLUMN quarantine_status TEXT CHECK (quarantine_status IN ('held', 'released', 'discarded'));
+  ALTER TABLE submissions ADD COLUMN spam_score INTEGER;
+  ALTER TABLE submissions ADD COLUMN spam_reasons TEXT;
+  ALTER TABLE submissions ADD COLUMN quarantine_reviewed_by TEXT;
+  ALTER TABLE submissions ADD COLUMN quarantine_reviewed_at TEXT;
+
+  -- SQLite cannot alter a CHECK constraint, so rebuild the outbox with the held/discarded states
+  CREATE TABLE outbox_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    submission_id INTEGER REFERENCES submissions (id),
+    message TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('held', 'pending', 'sending', 'sent', 'dead', 'discarded')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TEXT NOT NULL,
+    last_error TEXT,
+    message_id TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  INSERT INTO outbox_new SELECT * FROM outbox;
+  DROP TABLE outbox;
+  ALTER TABLE outbox_new RENAME TO outbox;
+  CREATE INDEX idx_outbox_due ON outbox (status, next_attempt_at);
+  CREATE INDEX idx_outbox_submission ON outbox (submission_id);
+  `,
+  `
+  -- response is NULL while the first request with a key is still being handled
+  CREATE TABLE idempotency_keys (
+    endpoint TEXT NOT NULL,
+    key TEXT NOT NULL,
+    request_hash TEXT NOT NULL,
+    status_code INTEGER,
+    response TEXT,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (endpoint, key)
+  );
+  CREATE INDEX idx_idempotency_created ON idempotency_keys (created_at);
+  `,
+  `
+  -- Counters for the sqlite rate limit store; reset_at is epoch milliseconds
+  CREATE TABLE rate_limits (
+    key TEXT PRIMARY KEY,
+    hits INTEGER NOT NULL,
+    reset_at INTEGER NOT NULL
+  );
+  CREATE INDEX idx_rate_limits_reset ON rate_limits (reset_at);
+  `,
+  `
+  CREATE TABLE webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id TEXT NOT NULL,
+    webhook_id TEXT NOT NULL,
+    event TEXT NOT NULL,
+    submission_id INTEGER REFERENCES submissions (id),
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('held', 'pending', 'sending', 'delivered', 'dead', 'discarded')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TEXT NOT NULL,
+    response_status INTEGER,
+    last_error TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+  CREATE INDEX idx_webhook_deliveries_submission ON webhook_deliveries (submission_id);
+
+  CREATE TABLE webhook_attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    delivery_id INTEGER NOT NULL REFERENCES webhook_deliveries (id),
+    attempt INTEGER NOT NULL,
+    response_status INTEGER,
+    error TEXT,
+    duration_ms INTEGER NOT NULL,
+    attempted_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_webhook_attempts_delivery ON webhook_attempts (delivery_id);
+  `,
+  `
+  -- Text messages share the outbox (retries, quarantine holds) with email
+  ALTER TABLE outbox ADD COLUMN channel TEXT NOT NULL DEFAULT 'email' CHECK (channel IN ('email', 'sms'));
+
+  CREATE TABLE sms_opt_outs (
+    phone TEXT PRIMARY KEY,
+    source TEXT NOT NULL,
+    opted_out_at TEXT NOT NULL
+  );
+  `,
+  `
+  ALTER TABLE submissions ADD COLUMN escalate_at TEXT;
+  ALTER TABLE submissions ADD COLUMN escalation_recipients TEXT;
+  ALTER TABLE submissions ADD COLUMN escalated_at TEXT;
+  CREATE INDEX idx_submissions_escalate_at ON submissions (escalate_at);
+  `,
+  `
+  ALTER TABLE submissions ADD COLUMN site_id TEXT;
+  CREATE INDEX idx_submissions_site_id ON submissions (site_id);
+  `,
+  `
+  -- X-Request-Id of the request that queued the message, so delivery logs can be traced back to it
+  ALTER TABLE outbox ADD COLUMN correlation_id TEXT;
+  `,
+  `
+  -- Form token nonces already submitted, kept until the token would have expired
+  CREATE TABLE form_token_nonces (
+    nonce TEXT PRIMARY KEY,
+    expires_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_form_token_nonces_expires_at ON form_token_nonces (expires_at);
+  `,
+  `
+  -- Idempotency keys are per site, so two websites picking the same key never share a response.
+  -- Keys only live a day, so existing ones are dropped rather than guessed a site.
+  DROP TABLE idempotency_keys;
+  CREATE TABLE idempotency_keys (
+    site_id TEXT NOT NULL,
+    endpoint TEXT NOT NULL,
+    key TEXT NOT NULL,
+    request_hash TEXT NOT NULL,
+    status_code INTEGER,
+    response TEXT,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (site_id, endpoint, key)
+  );
+  CREATE INDEX idx_idempotency_created ON idempotency_keys (created_at);
+  `
+];
+
+const migrate = (db) => {
+  const current = db.pragma('user_version', { simple: true });
+  migrations.slice(current).forEach((sql, index) => {
+    db.transaction(() => {
+      db.exec(sql);
+      db.pragma(`user_version = ${current + index + 1}`);
+    })();
+  });
+};
+
+let db;
+
+// Open (once) the database at DATABASE_PATH and bring its schema up to date
+const getDb = () => {
+  if (!db) {
+    const file = process.env.DATABASE_PATH || path.join('data', 'mdb.sqlite');
+    if (file !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    }
+    db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    migrate(db);
+  }
+  return db;
+};
+
+module.exports = { getDb };
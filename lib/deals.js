@@ -0,0 +1,133 @@
+// Promotional deals defined on the server: fixed amount or percent off, date range, eligible services, per-customer limits
+const path = require('path');
+const { unescape } = require('validator');
+const { loadConfigFile } = require('./config');
+const { getDb } = require('./db');
+const { businessDay } = require('./timezone');
+
+const DEFAULT_DEALS_FILE = path.join(__dirname, '..', 'config', 'deals.json');
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Problems with the catalog: codes, amounts, date ranges and limits
+const validateDeals = (deals) => {
+  const problems = [];
+  const seenCodes = new Set();
+
+  if (!Array.isArray(deals)) {
+    problems.push('"deals" must be an array');
+  }
+
+  (Array.isArray(deals) ? deals : []).forEach((deal, index) => {
+    const label = deal && deal.code ? `deal "${deal.code}"` : `deal #${index + 1}`;
+    if (!deal || typeof deal.code !== 'string' || !/^[A-Z0-9-]{3,40}$/.test(deal.code)) {
+      problems.push(`${label}: "code" must be 3-40 uppercase letters, digits or dashes`);
+    } else if (seenCodes.has(deal.code)) {
+      problems.push(`${label}: duplicate code`);
+    } else {
+      seenCodes.add(deal.code);
+    }
+    if (!deal || typeof deal.title !== 'string' || !deal.title) problems.push(`${label}: "title" is required`);
+
+    const hasAmount = deal && deal.amount !== undefined;
+    const hasPercent = deal && deal.percent !== undefined;
+    if (hasAmount === hasPercent) problems.push(`${label}: set exactly one of "amount" or "percent"`);
+    if (hasAmount && !(typeof deal.amount === 'number' && deal.amount > 0)) problems.push(`${label}: "amount" must be a positive number`);
+    if (hasPercent && !(typeof deal.percent === 'number' && deal.percent > 0 && deal.percent <= 100)) {
+      problems.push(`${label}: "percent" must be between 0 and 100`);
+    }
+
+    ['startsOn', 'endsOn'].forEach((field) => {
+      if (deal && deal[field] !== undefined && !DAY_PATTERN.test(deal[field])) problems.push(`${label}: "${field}" must be YYYY-MM-DD`);
+    });
+    if (deal && deal.startsOn && deal.endsOn && deal.startsOn > deal.endsOn) problems.push(`${label}: "startsOn" is after "endsOn"`);
+    if (deal && deal.serviceTypes !== undefined && !Array.isArray(deal.serviceTypes)) problems.push(`${label}: "serviceTypes" must be an array`);
+    if (deal && deal.perCustomerLimit !== undefined && !(Number.isInteger(deal.perCustomerLimit) && deal.perCustomerLimit > 0)) {
+      problems.push(`${label}: "perCustomerLimit" must be a positive integer`);
+    }
+  });
+
+  return problems;
+};
+
+// "$50 off" / "15% off"
+const formatDiscount = (deal) => (deal.percent !== undefined ? `${deal.percent}% off` : `$${deal.amount} off`);
+
+const isActive = (deal, day) => (!deal.startsOn || deal.startsOn <= day) && (!deal.endsOn || day <= deal.endsOn);
+
+// The form's serviceType arrives HTML-escaped ("Sewer &amp; Septic"); the catalog has the plain name
+const appliesTo = (deal, serviceType) => !deal.serviceTypes || deal.serviceTypes.length === 0
+  || deal.serviceTypes.some(type => type.toLowerCase() === unescape(String(serviceType || '')).toLowerCase());
+
+// Load and validate a deal catalog; returns { listActiveDeals(), checkDeal(code, { serviceType }) }
+const loadDeals = (filePath = process.env.DEALS_FILE || DEFAULT_DEALS_FILE) => {
+  const definition = loadConfigFile(filePath, {
+    description: 'deal catalog',
+    validate: ({ deals } = {}) => validateDeals(deals)
+  });
+
+  const deals = definition.deals.map(deal => ({ perCustomerLimit: 1, ...deal }));
+
+  // What the website shows; dates are business days and inclusive
+  const listActiveDeals = (now = new Date()) => deals
+    .filter(deal => isActive(deal, businessDay(now)))
+    .map(deal => ({
+      code: deal.code,
+      title: deal.title,
+      description: deal.description || null,
+      discount: formatDiscount(deal),
+      amount: deal.amount !== undefined ? deal.amount : null,
+      percent: deal.percent !== undefined ? deal.percent : null,
+      startsOn: deal.startsOn || null,
+      endsOn: deal.endsOn || null,
+      serviceTypes: deal.serviceTypes || [],
+      perCustomerLimit: deal.perCustomerLimit
+    }));
+
+  // The deal for a code, or an Error whose message can be shown to the customer
+  const checkDeal = (code, { serviceType, now = new Date() } = {}) => {
+    const deal = deals.find(candidate => candidate.code === String(code || '').trim().toUpperCase());
+    if (!deal) throw new Error('Unknown deal code');
+    if (!isActive(deal, businessDay(now))) throw new Error('This deal is not currently available');
+    if (!appliesTo(deal, serviceType)) throw new Error(`This deal only applies to: ${deal.serviceTypes.join(', ')}`);
+    return deal;
+  };
+
+  return { listActiveDeals, checkDeal };
+};
+
+// Record a redemption; the limit check and insert are one statement so parallel submissions
+// cannot both use the customer's last redemption. Throws with status 409 when the limit is reached.
+const redeemDeal = (deal, { email, submissionId }) => {
+  const { changes } = getDb().prepare(`
+    INSERT INTO deal_redemptions (deal_code, customer_email, submission_id, created_at)
+    SELECT @code, @email, @submissionId, @createdAt
+    WHERE (SELECT COUNT(*) FROM deal_redemptions WHERE deal_code = @code AND customer_email = @email) < @limit
+  `).run({
+    code: deal.code,
+    email: email.toLowerCase(),
+    submissionId,
+    createdAt: new Date().toISOString(),
+    limit: deal.perCustomerLimit
+  });
+
+  if (changes === 0) {
+    const error = new Error(deal.perCustomerLimit === 1
+      ? `The ${deal.code} deal has already been used with this email address`
+      : `The ${deal.code} deal can only be used ${deal.perCustomerLimit} times per customer`);
+    error.status = 409;
+    throw error;
+  }
+};
+
+// A cancelled request gives its redemption back
+const releaseRedemption = (submissionId) => {
+  getDb().prepare('DELETE FROM deal_redemptions WHERE submission_id = ?').run(submissionId);
+};
+
+module.exports = {
+  formatDiscount,
+  loadDeals,
+  redeemDeal,
+  releaseRedemption
+};
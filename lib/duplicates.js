@@ -0,0 +1,77 @@
+// Near-duplicate detection: the same request sent again shortly after is folded into the open one
+// instead of creating a second request and a second round of emails
+const crypto = require('crypto');
+const { getDb } = require('./db');
+const { getSubmission } = require('./submissions');
+
+const config = {
+  windowMinutes: parseInt(process.env.DUPLICATE_WINDOW_MINUTES, 10) || 30
+};
+
+// What makes two submissions "the same request" for each form
+const MATCHERS = {
+  service: {
+    sql: 'address = @address COLLATE NOCASE AND service_type = @serviceType COLLATE NOCASE',
+    params: ({ address, serviceType }) => ({ address: address || '', serviceType: serviceType || '' })
+  },
+  support: {
+    sql: 'subject IS @subject AND message = @message',
+    params: ({ subject, message }) => ({ subject: subject || null, message: message || '' })
+  }
+};
+
+// The most recent open submission from the same customer to the same site matching this one, or null.
+// Closed requests and quarantined ones (held for review or discarded) never absorb a new submission.
+const findDuplicate = ({ type, email, siteId = null, ...fields }, now = new Date()) => {
+  const matcher = MATCHERS[type];
+  const row = getDb().prepare(`
+    SELECT request_id FROM submissions
+    WHERE type = @type AND email = @email AND site_id IS @siteId AND created_at >= @since
+      AND status NOT IN ('completed', 'cancelled')
+      AND (quarantine_status IS NULL OR quarantine_status = 'released')
+      AND ${matcher.sql}
+    ORDER BY created_at DESC, id DESC LIMIT 1
+  `).get({
+    type,
+    email: email.toLowerCase(),
+    siteId,
+    since: new Date(now.getTime() - config.windowMinutes * 60 * 1000).toISOString(),
+    ...matcher.params(fields)
+  });
+
+  return row ? getSubmission(row.request_id) : null;
+};
+
+// What a resubmission asks for that folding cannot give it: new files (only emailed with the first
+// submission), a different slot or a different deal. Empty when it can be folded.
+const unfoldableChanges = (submission, { attachments = [], slotId, dealCode }) => [
+  ...(attachments.length > 0 ? ['attachments'] : []),
+  ...(slotId && slotId !== submission.data.slotId ? ['slotId'] : []),
+  ...(dealCode && dealCode !== submission.data.dealCode ? ['dealCode'] : [])
+];
+
+// Keep what the customer wrote the second time on the existing ticket's conversation
+const foldDuplicate = (submission, { from, subject, text }) => {
+  const now = new Date().toISOString();
+  getDb().transaction(() => {
+    getDb().prepare(`
+      INSERT INTO ticket_messages (submission_id, message_id, from_address, subject, body_text, source, received_at, created_at)
+      VALUES (?, ?, ?, ?, ?, 'form', ?, ?)
+    `).run(
+      submission.id,
+      `form-${submission.requestId}-${crypto.randomBytes(8).toString('hex')}`,
+      from.toLowerCase(),
+      subject || null,
+      text || '',
+      now,
+      now
+    );
+    getDb().prepare('UPDATE submissions SET updated_at = ? WHERE id = ?').run(now, submission.id);
+  })();
+};
+
+module.exports = {
+  findDuplicate,
+  foldDuplicate,
+  unfoldableChanges
+};
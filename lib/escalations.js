@@ -0,0 +1,71 @@
+// Escalation of service requests nobody has picked up: if a request is still "new" when its
+// escalation time passes, the escalation list from the routing rules is emailed once
+const { getDb } = require('./db');
+const { logger } = require('./logger');
+const { getSubmission } = require('./submissions');
+
+const config = {
+  pollIntervalMs: parseInt(process.env.ESCALATION_POLL_INTERVAL_MS, 10) || 60 * 1000 // 1 minute
+};
+
+let notify = null;
+let timer = null;
+
+// Call in the submission's transaction with the route's escalation ({ afterMinutes, to }) or null
+const scheduleEscalation = (submissionId, escalation, now = new Date()) => {
+  if (!escalation) return;
+  getDb().prepare('UPDATE submissions SET escalate_at = ?, escalation_recipients = ? WHERE id = ?').run(
+    new Date(now.getTime() + escalation.afterMinutes * 60 * 1000).toISOString(),
+    JSON.stringify(escalation.to),
+    submissionId
+  );
+};
+
+// Escalate every overdue request; held (quarantined) and discarded ones wait or never escalate
+const processEscalations = () => {
+  if (!notify) return;
+  const db = getDb();
+  const now = new Date().toISOString();
+
+  const due = db.prepare(`
+    SELECT request_id, escalation_recipients FROM submissions
+    WHERE escalate_at <= ? AND escalated_at IS NULL AND status = 'new'
+      AND (quarantine_status IS NULL OR quarantine_status = 'released')
+    ORDER BY escalate_at
+  `).all(now);
+
+  due.forEach((row) => {
+    try {
+      db.transaction(() => {
+        db.prepare('UPDATE submissions SET escalated_at = ? WHERE request_id = ?').run(now, row.request_id);
+        notify(getSubmission(row.request_id), JSON.parse(row.escalation_recipients));
+      })();
+      logger.warn(`Request ${row.request_id} escalated: still new after its escalation time`);
+    } catch (error) {
+      logger.error('Escalation error', {
+        requestId: row.request_id,
+        error: error.message
+      });
+    }
+  });
+};
+
+// Start the background check; onEscalate(submission, recipients) queues the alert and runs in a transaction
+const startEscalationWorker = (onEscalate) => {
+  notify = onEscalate;
+  timer = setInterval(processEscalations, config.pollIntervalMs);
+  timer.unref();
+  setImmediate(processEscalations);
+};
+
+const stopEscalationWorker = () => {
+  clearInterval(timer);
+  notify = null;
+};
+
+module.exports = {
+  processEscalations,
+  scheduleEscalation,
+  startEscalationWorker,
+  stopEscalationWorker
+};
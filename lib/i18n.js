@@ -0,0 +1,84 @@
+// Customer-facing email copy in English, French and Spanish, from templates/locales/<locale>.json
+const path = require('path');
+const { assertValid, readConfigFile } = require('./config');
+const { BUSINESS_TIMEZONE, businessTimeToDate } = require('./timezone');
+
+const LOCALE_DIR = path.join(__dirname, '..', 'templates', 'locales');
+
+// Language → Intl locale for dates and times (Maine's French speakers mostly read Canadian French)
+const INTL_LOCALES = {
+  en: 'en-US',
+  fr: 'fr-CA',
+  es: 'es-US'
+};
+
+const DEFAULT_LOCALE = 'en';
+const SUPPORTED_LOCALES = Object.keys(INTL_LOCALES);
+
+let catalogs = null;
+
+// "a.b.c" for every string in a catalog
+const flattenKeys = (value, prefix = '') => (typeof value === 'string'
+  ? [prefix]
+  : Object.entries(value).flatMap(([key, child]) => flattenKeys(child, prefix ? `${prefix}.${key}` : key)));
+
+const lookup = (catalog, key) => key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), catalog);
+
+// Read every catalog; each translation must have every English key
+const loadCatalogs = () => {
+  const loaded = {};
+  SUPPORTED_LOCALES.forEach((locale) => {
+    loaded[locale] = readConfigFile(path.join(LOCALE_DIR, `${locale}.json`), 'message catalog');
+  });
+
+  const keys = flattenKeys(loaded[DEFAULT_LOCALE]);
+  const problems = SUPPORTED_LOCALES.filter(locale => locale !== DEFAULT_LOCALE).flatMap(locale => keys
+    .filter(key => typeof lookup(loaded[locale], key) !== 'string')
+    .map(key => `${locale}: missing "${key}"`));
+  assertValid(problems, `Incomplete message catalogs in ${LOCALE_DIR}`);
+
+  catalogs = loaded;
+  return catalogs;
+};
+
+// "fr-CA", "FR" → "fr"; null for languages we have no copy for
+const normalizeLocale = (value) => {
+  const language = String(value || '').trim().split(/[-_]/)[0].toLowerCase();
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+};
+
+// The form's locale field wins, then the browser's Accept-Language, then English
+const resolveLocale = req => normalizeLocale(req.body && req.body.locale)
+  || req.acceptsLanguages(...SUPPORTED_LOCALES)
+  || DEFAULT_LOCALE;
+
+// Copy for a key with {placeholders} filled in as given; the copy itself may carry markup, so HTML
+// callers escape the values first (templates.js)
+const translate = (locale, key, values = {}) => {
+  const all = catalogs || loadCatalogs();
+  const message = lookup(all[locale] || all[DEFAULT_LOCALE], key);
+  if (typeof message !== 'string') {
+    throw new Error(`Unknown message "${key}"`);
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (values[name] === undefined ? placeholder : values[name]));
+};
+
+// Date and time in business time, written the way the locale expects
+const formatDateTime = (date, locale = DEFAULT_LOCALE, options = { dateStyle: 'medium', timeStyle: 'short' }) => new Date(date)
+  .toLocaleString(INTL_LOCALES[locale] || INTL_LOCALES[DEFAULT_LOCALE], { ...options, timeZone: BUSINESS_TIMEZONE });
+
+// A YYYY-MM-DD day from the forms ("2025-01-16" → "Thursday, January 16, 2025"); anything else is returned as is
+const formatDay = (day, locale = DEFAULT_LOCALE) => (/^\d{4}-\d{2}-\d{2}$/.test(day || '')
+  ? formatDateTime(businessTimeToDate(day, 12), locale, { dateStyle: 'full' })
+  : day);
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  formatDateTime,
+  formatDay,
+  loadCatalogs,
+  normalizeLocale,
+  resolveLocale,
+  translate
+};
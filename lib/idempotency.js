@@ -0,0 +1,103 @@
+// Idempotency-Key support for the form routes: a retried request gets the original response instead of a second submission
+const crypto = require('crypto');
+const { getDb } = require('./db');
+
+const config = {
+  ttlHours: parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24,
+  // A claim with no response after this long was left by a crash; a retry takes it over
+  claimSeconds: parseInt(process.env.IDEMPOTENCY_CLAIM_SECONDS, 10) || 120
+};
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/; // printable ASCII, no spaces
+
+// Same body (and uploaded files) → same fingerprint; a reused key with a different request is a client bug
+const fingerprint = (req) => {
+  const hash = crypto.createHash('sha256').update(JSON.stringify(req.body || {}));
+  (req.files || []).forEach(file => hash.update(file.originalname || '').update(file.buffer));
+  return hash.digest('hex');
+};
+
+const purgeExpired = (db) => {
+  const cutoff = new Date(Date.now() - config.ttlHours * 60 * 60 * 1000).toISOString();
+  db.prepare('DELETE FROM idempotency_keys WHERE created_at < ?').run(cutoff);
+};
+
+// Middleware: replays stored 2xx responses, rejects concurrent or mismatched reuse of a key,
+// and lets any other outcome (validation errors, 5xx) be retried with the same key
+const idempotency = (endpoint) => (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Idempotency-Key must be 1-255 printable characters'
+    });
+  }
+
+  const db = getDb();
+  purgeExpired(db);
+
+  // Keys are the client's, so they are only unique within one site
+  const scope = { siteId: req.site.id, endpoint, key };
+  const requestHash = fingerprint(req);
+  const existing = db.prepare(`
+    SELECT * FROM idempotency_keys WHERE site_id = @siteId AND endpoint = @endpoint AND key = @key
+  `).get(scope);
+  const abandoned = existing && existing.response === null
+    && Date.parse(existing.created_at) < Date.now() - config.claimSeconds * 1000;
+
+  if (existing && !abandoned) {
+    if (existing.request_hash !== requestHash) {
+      return res.status(422).json({
+        success: false,
+        error: 'This Idempotency-Key was already used with a different request'
+      });
+    }
+    if (existing.response === null) {
+      return res.status(409).json({
+        success: false,
+        error: 'A request with this Idempotency-Key is still being processed'
+      });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.status_code).json(JSON.parse(existing.response));
+  }
+
+  // Claim the key before doing any work so a parallel duplicate sees it in progress
+  db.prepare(`
+    INSERT OR REPLACE INTO idempotency_keys (site_id, endpoint, key, request_hash, created_at)
+    VALUES (@siteId, @endpoint, @key, @requestHash, @createdAt)
+  `).run({ ...scope, requestHash, createdAt: new Date().toISOString() });
+
+  let settled = false;
+  const release = () => {
+    settled = true;
+    db.prepare('DELETE FROM idempotency_keys WHERE site_id = @siteId AND endpoint = @endpoint AND key = @key').run(scope);
+  };
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 200 && res.statusCode < 300) {
+      settled = true;
+      db.prepare(`
+        UPDATE idempotency_keys SET status_code = @statusCode, response = @response
+        WHERE site_id = @siteId AND endpoint = @endpoint AND key = @key
+      `).run({ ...scope, statusCode: res.statusCode, response: JSON.stringify(body) });
+    } else {
+      release();
+    }
+    return json(body);
+  };
+
+  // A response ended some other way (an error page) frees the key too. One never sent at all (a crash)
+  // leaves the claim to expire after claimSeconds.
+  res.on('finish', () => {
+    if (!settled) release();
+  });
+
+  next();
+};
+
+module.exports = { idempotency };
@@ -0,0 +1,198 @@
+// Poll the support mailboxes (IMAP or Graph) and thread customer replies onto their tickets
+const Imap = require('imap');
+const { simpleParser } = require('mailparser');
+const { logger } = require('./logger');
+const { attachReply } = require('./tickets');
+
+// Marker for messages already looked at, so unmatched mail stays unread for staff but is not re-parsed
+const PROCESSED_KEYWORD = '$MDBProcessed';
+const PROCESSED_CATEGORY = 'MDB Processed';
+
+const requiredEnv = {
+  imap: ['IMAP_HOST', 'IMAP_USER', 'IMAP_PASS'],
+  graph: ['AZURE_CLIENT_ID', 'AZURE_TENANT_ID', 'AZURE_CLIENT_SECRET', 'SUPPORT_ACCOUNT']
+};
+
+// Every address we send from: the sites' mailboxes and the SMTP sender
+const senderAddresses = (mailboxes = []) => [...mailboxes, process.env.SUPPORT_ACCOUNT, process.env.SMTP_FROM, process.env.SMTP_USER]
+  .filter(Boolean)
+  .map(address => address.toLowerCase());
+
+let ownAddresses = senderAddresses();
+
+// Our own outgoing mail can land in the inbox (e.g. Bcc); never treat it as a customer reply
+const isOwnMessage = (parsed) => {
+  const from = parsed.from && parsed.from.value[0] ? parsed.from.value[0].address : '';
+  return Boolean(from) && ownAddresses.includes(from.toLowerCase());
+};
+
+const ingest = (parsed, source) => (isOwnMessage(parsed) ? null : attachReply(parsed, { source }));
+
+// Promise wrappers around the callback-based imap client
+const imapConnect = () => new Promise((resolve, reject) => {
+  const imap = new Imap({
+    host: process.env.IMAP_HOST,
+    port: parseInt(process.env.IMAP_PORT, 10) || 993,
+    tls: process.env.IMAP_TLS !== 'false',
+    user: process.env.IMAP_USER,
+    password: process.env.IMAP_PASS,
+    connTimeout: 15 * 1000,
+    authTimeout: 15 * 1000
+  });
+  let ready = false;
+  imap.once('ready', () => {
+    ready = true;
+    resolve(imap);
+  });
+  // The client can emit more than one error (a reset after a failed login); an unhandled one would
+  // crash the process. Calls in progress fail on their own, so later errors are only logged.
+  imap.on('error', (error) => {
+    imap.end();
+    if (ready) {
+      logger.warn('IMAP connection error', { error: error.message });
+    } else {
+      reject(error);
+    }
+  });
+  imap.connect();
+});
+
+const imapCall = (imap, method, ...args) => new Promise((resolve, reject) => {
+  imap[method](...args, (error, result) => (error ? reject(error) : resolve(result)));
+});
+
+// Fetch the raw source of each UID without marking it read
+const imapFetchRaw = (imap, uids) => new Promise((resolve, reject) => {
+  const messages = [];
+  const fetch = imap.fetch(uids, { bodies: '', markSeen: false });
+  fetch.on('message', (msg) => {
+    const message = { uid: null, chunks: [] };
+    msg.on('body', stream => stream.on('data', chunk => message.chunks.push(chunk)));
+    msg.once('attributes', (attrs) => { message.uid = attrs.uid; });
+    msg.once('end', () => messages.push(message));
+  });
+  fetch.once('error', reject);
+  fetch.once('end', () => resolve(messages.map(m => ({ uid: m.uid, raw: Buffer.concat(m.chunks) }))));
+});
+
+const pollImap = async () => {
+  const imap = await imapConnect();
+  let matched = 0;
+
+  try {
+    await imapCall(imap, 'openBox', process.env.IMAP_MAILBOX || 'INBOX', false);
+    const uids = await imapCall(imap, 'search', ['UNSEEN', ['UNKEYWORD', PROCESSED_KEYWORD]]);
+    if (uids.length === 0) return 0;
+
+    const messages = await imapFetchRaw(imap, uids);
+    for (const { uid, raw } of messages) {
+      const parsed = await simpleParser(raw);
+      if (ingest(parsed, 'imap')) {
+        matched += 1;
+        await imapCall(imap, 'addFlags', uid, '\\Seen');
+      }
+      await imapCall(imap, 'addKeywords', uid, PROCESSED_KEYWORD);
+    }
+  } finally {
+    imap.end();
+  }
+
+  return matched;
+};
+
+// One site mailbox
+const pollGraphMailbox = async (client, address) => {
+  const mailbox = `/users/${address}`;
+  let matched = 0;
+
+  const { value: messages } = await client.api(`${mailbox}/mailFolders/inbox/messages`)
+    .filter(`isRead eq false and not(categories/any(c:c eq '${PROCESSED_CATEGORY}'))`)
+    .select('id,categories')
+    .top(25)
+    .get();
+
+  for (const message of messages) {
+    const mime = await client.api(`${mailbox}/messages/${message.id}/$value`).getStream();
+    const parsed = await simpleParser(mime);
+    const update = { categories: [...(message.categories || []), PROCESSED_CATEGORY] };
+
+    if (ingest(parsed, 'graph')) {
+      matched += 1;
+      update.isRead = true;
+    }
+    await client.api(`${mailbox}/messages/${message.id}`).patch(update);
+  }
+
+  return matched;
+};
+
+// Every site's mailbox in turn
+const pollGraph = async (mailboxes) => {
+  // Required lazily so the IMAP source does not need the Graph SDK configured
+  const { getGraphClient } = require('./transports/graph');
+  const client = getGraphClient();
+  let matched = 0;
+  for (const address of mailboxes) {
+    matched += await pollGraphMailbox(client, address);
+  }
+  return matched;
+};
+
+const sources = {
+  imap: pollImap,
+  graph: pollGraph
+};
+
+let timer = null;
+let polling = false;
+
+// Start polling when INBOUND_SOURCE is imap or graph; returns false when disabled. mailboxes are the
+// sites' support mailboxes: Graph reads each of them, IMAP reads the IMAP_USER account, so site
+// mailboxes need to deliver into it (aliases or forwarding)
+const startInboundPoller = ({ mailboxes = [process.env.SUPPORT_ACCOUNT] } = {}) => {
+  const source = process.env.INBOUND_SOURCE;
+  if (!source || source === 'off') return false;
+
+  if (!sources[source]) {
+    throw new Error(`Unknown INBOUND_SOURCE "${source}". Expected one of: ${Object.keys(sources).join(', ')}, off`);
+  }
+
+  const missing = requiredEnv[source].filter(env => !process.env[env]);
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables for ${source} inbound polling: ${missing.join(', ')}`);
+  }
+
+  ownAddresses = senderAddresses(mailboxes);
+  const uniqueMailboxes = [...new Set(mailboxes.map(address => address.toLowerCase()))];
+
+  const poll = async () => {
+    if (polling) return;
+    polling = true;
+    try {
+      const matched = await sources[source](uniqueMailboxes);
+      if (matched > 0) {
+        logger.info(`Inbound mail: threaded ${matched} repl${matched === 1 ? 'y' : 'ies'} onto tickets`);
+      }
+    } catch (error) {
+      logger.error('Inbound mail polling error', {
+        error: error.message,
+        source
+      });
+    } finally {
+      polling = false;
+    }
+  };
+
+  timer = setInterval(poll, parseInt(process.env.INBOUND_POLL_INTERVAL_MS, 10) || 60 * 1000);
+  timer.unref();
+  setImmediate(poll);
+  return true;
+};
+
+const stopInboundPoller = () => clearInterval(timer);
+
+module.exports = {
+  ingest,
+  startInboundPoller,
+  stopInboundPoller
+};
@@ -0,0 +1,113 @@
+// Structured logging: one JSON object per line with a level, a message and fields, tagged with the ID
+// of the HTTP request (or queued message) being handled and with customer contact details masked
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const config = {
+  level: LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] ? process.env.LOG_LEVEL.toLowerCase() : 'info'
+};
+
+const context = new AsyncLocalStorage();
+
+// IDs a proxy or the website may send in X-Request-Id; anything else is replaced with our own
+const REQUEST_ID_PATTERN = /^[\w.:-]{8,100}$/;
+
+// Fields holding contact details, by name (nested objects included)
+const CONTACT_FIELDS = ['email', 'clientemail', 'to', 'cc', 'bcc', 'from', 'replyto', 'recipients', 'phone'];
+const ADDRESS_FIELDS = ['address', 'fulladdress', 'street'];
+
+const EMAIL_PATTERN = /([^\s@<>"',;:]+)@([^\s@<>"',;:]+\.[^\s@<>"',;:]+)/g;
+// +12075551234 and (207) 555-1234 / 207-555-1234; bare digit runs are left alone (ids, timestamps)
+const PHONE_PATTERN = /\+\d{10,15}\b|\(?\b\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/g;
+
+// "jonathan@example.com" → "jon***@example.com"
+const maskEmail = (local, domain) => `${local.slice(0, Math.min(3, local.length - 1))}***@${domain}`;
+
+// All but the last four digits
+const maskPhone = value => value.replace(/\d(?=(?:\D*\d){4})/g, '*');
+
+// Emails and phone numbers anywhere in a string (error messages, subjects)
+const redactText = text => text
+  .replace(EMAIL_PATTERN, (match, local, domain) => maskEmail(local, domain))
+  .replace(PHONE_PATTERN, maskPhone);
+
+const redactContact = value => (String(value).includes('@') ? redactText(String(value)) : maskPhone(String(value)));
+
+const redact = (value, key = '') => {
+  const field = key.toLowerCase();
+  if (value === null || value === undefined) return value;
+  if (ADDRESS_FIELDS.includes(field) && typeof value !== 'object') return '[redacted]';
+  if (Array.isArray(value)) return value.map(item => redact(item, key));
+  if (value instanceof Error) return redact({ message: value.message, stack: value.stack });
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, child]) => [name, redact(child, CONTACT_FIELDS.includes(field) ? key : name)]));
+  }
+  if (CONTACT_FIELDS.includes(field)) return redactContact(value);
+  return typeof value === 'string' ? redactText(value) : value;
+};
+
+const write = (level, message, fields = {}) => {
+  if (LEVELS[level] < LEVELS[config.level]) return;
+
+  const store = context.getStore();
+  const entry = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg: redactText(String(message)),
+    ...(store && store.correlationId && { correlationId: store.correlationId }),
+    ...redact(fields)
+  });
+
+  // Warnings and errors on stderr, as before
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${entry}\n`);
+};
+
+const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
+
+// Run fn with every log line inside it (sync or async) tagged with correlationId; null clears the ID
+// of the surrounding request
+const withCorrelationId = (correlationId, fn) => context.run({ correlationId }, fn);
+
+const currentCorrelationId = () => {
+  const store = context.getStore();
+  return store ? store.correlationId : null;
+};
+
+// Full path as the client sent it, mount prefixes (/admin) included; the query string is left out as it
+// may carry customer details
+const requestPath = req => req.originalUrl.split('?')[0];
+
+// Give each HTTP request an ID (the caller's X-Request-Id if it looks like one), echo it in the
+// response and log the request when it finishes
+const requestContext = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => withCorrelationId(req.id, () => logger.info('Request completed', {
+    method: req.method,
+    path: requestPath(req),
+    status: res.statusCode,
+    durationMs: Number((process.hrtime.bigint() - startedAt) / 1000000n),
+    site: req.site ? req.site.id : undefined,
+    ip: req.ip
+  })));
+
+  withCorrelationId(req.id, next);
+};
+
+module.exports = {
+  currentCorrelationId,
+  logger,
+  requestContext,
+  requestPath,
+  withCorrelationId
+};
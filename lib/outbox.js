@@ -0,0 +1,119 @@
+// Persisted outbound email (and SMS) queue, delivered in the background with retries and backoff
+const { getDb } = require('./db');
+const { currentCorrelationId } = require('./logger');
+const { createDeliveryWorker } = require('./retry');
+
+const config = {
+  pollIntervalMs: parseInt(process.env.OUTBOX_POLL_INTERVAL_MS, 10) || 5000,
+  maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10) || 8,
+  baseDelayMs: parseInt(process.env.OUTBOX_BASE_DELAY_MS, 10) || 30 * 1000, // 30 seconds
+  maxDelayMs: parseInt(process.env.OUTBOX_MAX_DELAY_MS, 10) || 60 * 60 * 1000, // 1 hour
+  batchSize: 10
+};
+
+const enqueue = (channel, message, { submissionId = null, held = false } = {}) => {
+  const now = new Date().toISOString();
+  const { lastInsertRowid } = getDb().prepare(`
+    INSERT INTO outbox (channel, submission_id, message, status, next_attempt_at, correlation_id, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(channel, submissionId, JSON.stringify(message), held ? 'held' : 'pending', now, currentCorrelationId(), now, now);
+
+  if (!held) {
+    worker.wake();
+  }
+
+  return lastInsertRowid;
+};
+
+// Queue a message ({ to, subject, html, text, headers, attachments }) for delivery; attachment content must be a string (e.g. base64) to survive JSON.
+// Held messages (quarantined submissions) wait until releaseHeldEmails.
+const enqueueEmail = (message, options) => enqueue('email', message, options);
+
+// Queue a text ({ to: E.164 number, body }); same options as enqueueEmail
+const enqueueSms = (message, options) => enqueue('sms', message, options);
+
+// Send with the channel's sender; each send(message) resolves to { success, messageId, errorId, error }
+const send = async (row, senders) => {
+  const sender = senders[row.channel];
+  const result = sender
+    ? await sender(JSON.parse(row.message))
+    : { success: false, errorId: 'unconfigured', error: `No ${row.channel} sender is configured` };
+
+  if (result.success) {
+    return { error: null, columns: { message_id: result.messageId || null } };
+  }
+  return { error: `[${result.errorId}] ${result.error || 'Unknown error'}` };
+};
+
+const worker = createDeliveryWorker({
+  table: 'outbox',
+  name: 'Outbox',
+  label: 'Outbox message',
+  config,
+  doneStatus: 'sent',
+  deliver: send,
+  deadFields: (row, lastError) => ({ lastError, submissionId: row.submission_id })
+});
+
+// Deliver every due message
+const processOutbox = worker.processDue;
+
+// Start the background worker with a sender per channel ({ email, sms }); each send(message) must resolve
+// to { success, messageId, errorId, error }
+const startOutboxWorker = channelSenders => worker.start(channelSenders);
+
+const stopOutboxWorker = worker.stop;
+
+// Queue a submission's held messages (email and SMS) for delivery now
+const releaseHeldEmails = worker.releaseHeld;
+
+// Drop a submission's held messages without sending them (kept for the record)
+const discardHeldEmails = worker.discardHeld;
+
+// Delivery state of every email queued for a submission (message bodies omitted)
+const listSubmissionEmails = (submissionId) => getDb().prepare(`
+  SELECT id, message, status, attempts, last_error, created_at, updated_at
+  FROM outbox WHERE submission_id = ? AND channel = 'email' ORDER BY id
+`).all(submissionId).map((row) => {
+  const { to, subject } = JSON.parse(row.message);
+  return {
+    id: row.id,
+    to,
+    subject,
+    status: row.status,
+    attempts: row.attempts,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+});
+
+// Delivery state of every text queued for a submission
+const listSubmissionTexts = (submissionId) => getDb().prepare(`
+  SELECT id, message, status, attempts, last_error, created_at, updated_at
+  FROM outbox WHERE submission_id = ? AND channel = 'sms' ORDER BY id
+`).all(submissionId).map((row) => {
+  const { to, body } = JSON.parse(row.message);
+  return {
+    id: row.id,
+    to,
+    body,
+    status: row.status,
+    attempts: row.attempts,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+});
+
+module.exports = {
+  discardHeldEmails,
+  enqueueEmail,
+  enqueueSms,
+  listSubmissionEmails,
+  listSubmissionTexts,
+  processOutbox,
+  releaseHeldEmails,
+  startOutboxWorker,
+  stopOutboxWorker
+};
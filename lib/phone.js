@@ -0,0 +1,34 @@
+// Phone numbers from the forms normalised to E.164 ("+12075551234") for SMS
+const DEFAULT_COUNTRY_CODE = '1'; // US/Canada
+
+// Ten digits; area code and exchange cannot start with 0 or 1
+const isValidNanp = digits => /^[2-9]\d{2}[2-9]\d{6}$/.test(digits);
+
+// "(207) 555-1234", "207.555.1234 ext 9", "1-207-555-1234", "+44 20 7946 0958" → E.164, or null when unusable
+const normalizePhone = (input) => {
+  if (typeof input !== 'string') return null;
+
+  // Extensions cannot receive texts
+  const number = input.trim().replace(/\s*(?:ext\.?|extension|x|#)\s*\d+$/i, '');
+  const digits = number.replace(/\D/g, '');
+
+  if (number.startsWith('+') || number.startsWith('00')) {
+    const international = number.startsWith('00') ? digits.slice(2) : digits;
+    if (!/^[1-9]\d{7,14}$/.test(international)) return null;
+    return international.startsWith(DEFAULT_COUNTRY_CODE) && !isValidNanp(international.slice(1)) ? null : `+${international}`;
+  }
+
+  const national = digits.length === 11 && digits.startsWith(DEFAULT_COUNTRY_CODE) ? digits.slice(1) : digits;
+  return isValidNanp(national) ? `+${DEFAULT_COUNTRY_CODE}${national}` : null;
+};
+
+// "+12075551234" → "(207) 555-1234" for messages and logs; other countries stay in E.164
+const formatPhone = (e164) => {
+  const match = /^\+1(\d{3})(\d{3})(\d{4})$/.exec(e164 || '');
+  return match ? `(${match[1]}) ${match[2]}-${match[3]}` : e164;
+};
+
+module.exports = {
+  formatPhone,
+  normalizePhone
+};
@@ -0,0 +1,61 @@
+// Quarantine for submissions that look like spam: stored as usual, but their emails are held until staff review
+const { getDb } = require('./db');
+const { getSubmission } = require('./submissions');
+const { discardHeldEmails, releaseHeldEmails } = require('./outbox');
+const { discardHeldDeliveries, releaseHeldDeliveries } = require('./webhooks');
+const { releaseSlot } = require('./availability');
+const { releaseRedemption } = require('./deals');
+
+// Mark a freshly stored submission as held; its emails and webhook events must be queued with { held: true }
+const quarantineSubmission = (submissionId, { score, reasons }) => {
+  getDb().prepare(`
+    UPDATE submissions SET quarantine_status = 'held', spam_score = ?, spam_reasons = ? WHERE id = ?
+  `).run(score, JSON.stringify(reasons), submissionId);
+};
+
+const getHeldSubmission = (requestId) => {
+  const submission = getSubmission(requestId);
+  if (!submission) {
+    const error = new Error('Request not found');
+    error.status = 404;
+    throw error;
+  }
+  if (!submission.quarantine || submission.quarantine.status !== 'held') {
+    const error = new Error('Request is not in quarantine');
+    error.status = 409;
+    throw error;
+  }
+  return submission;
+};
+
+const markReviewed = (submissionId, status, actor) => {
+  getDb().prepare(`
+    UPDATE submissions SET quarantine_status = ?, quarantine_reviewed_by = ?, quarantine_reviewed_at = ? WHERE id = ?
+  `).run(status, actor, new Date().toISOString(), submissionId);
+};
+
+// Not spam after all: send the held emails and webhook events; returns the updated submission
+const releaseSubmission = (requestId, { actor }) => getDb().transaction(() => {
+  const submission = getHeldSubmission(requestId);
+  markReviewed(submission.id, 'released', actor);
+  releaseHeldEmails(submission.id);
+  releaseHeldDeliveries(submission.id);
+  return getSubmission(requestId);
+})();
+
+// Spam: never send the held emails or events and give back any slot or deal it was holding
+const discardSubmission = (requestId, { actor }) => getDb().transaction(() => {
+  const submission = getHeldSubmission(requestId);
+  markReviewed(submission.id, 'discarded', actor);
+  discardHeldEmails(submission.id);
+  discardHeldDeliveries(submission.id);
+  releaseSlot(submission.id);
+  releaseRedemption(submission.id);
+  return getSubmission(requestId);
+})();
+
+module.exports = {
+  discardSubmission,
+  quarantineSubmission,
+  releaseSubmission
+};
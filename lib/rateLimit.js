@@ -0,0 +1,165 @@
+// Rate limit counters selected by RATE_LIMIT_STORE (sqlite, redis, memory) so limits survive restarts
+// and, with Redis, are shared between instances. Stores follow express-rate-limit's Store interface.
+const { MemoryStore } = require('express-rate-limit');
+const Redis = require('ioredis');
+const { getDb } = require('./db');
+const { logger } = require('./logger');
+
+const config = {
+  confirmationsPerEmail: parseInt(process.env.CONFIRMATION_LIMIT_PER_EMAIL, 10) || 3,
+  confirmationWindowMinutes: parseInt(process.env.CONFIRMATION_LIMIT_WINDOW_MINUTES, 10) || 60
+};
+
+// Counters live in the submissions database; expired rows are swept at most once per window
+const createSqliteStore = (prefix) => {
+  let windowMs;
+  let lastSweep = 0;
+
+  const sweep = (now) => {
+    if (now - lastSweep < windowMs) return;
+    lastSweep = now;
+    getDb().prepare('DELETE FROM rate_limits WHERE reset_at <= ?').run(now);
+  };
+
+  return {
+    prefix,
+    localKeys: false,
+    init: (options) => {
+      windowMs = options.windowMs;
+    },
+    get: async (key) => {
+      const row = getDb().prepare('SELECT hits, reset_at FROM rate_limits WHERE key = ? AND reset_at > ?')
+        .get(prefix + key, Date.now());
+      return row ? { totalHits: row.hits, resetTime: new Date(row.reset_at) } : undefined;
+    },
+    increment: async (key) => {
+      const now = Date.now();
+      sweep(now);
+      // A window that has run out starts over at one hit
+      const row = getDb().prepare(`
+        INSERT INTO rate_limits (key, hits, reset_at) VALUES (@key, 1, @resetAt)
+        ON CONFLICT (key) DO UPDATE SET
+          hits = CASE WHEN reset_at <= @now THEN 1 ELSE hits + 1 END,
+          reset_at = CASE WHEN reset_at <= @now THEN @resetAt ELSE reset_at END
+        RETURNING hits, reset_at
+      `).get({ key: prefix + key, now, resetAt: now + windowMs });
+      return { totalHits: row.hits, resetTime: new Date(row.reset_at) };
+    },
+    decrement: async (key) => {
+      getDb().prepare('UPDATE rate_limits SET hits = MAX(hits - 1, 0) WHERE key = ? AND reset_at > ?')
+        .run(prefix + key, Date.now());
+    },
+    resetKey: async (key) => {
+      getDb().prepare('DELETE FROM rate_limits WHERE key = ?').run(prefix + key);
+    }
+  };
+};
+
+// INCR plus a TTL set on the first hit (or repaired if it is missing), in one round trip
+const INCREMENT_SCRIPT = `
+local hits = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { hits, ttl }
+`;
+
+const DECREMENT_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  return redis.call('DECR', KEYS[1])
+end
+return 0
+`;
+
+// One connection per process, shared by every limiter
+let redisClient;
+const getRedisClient = () => {
+  if (!redisClient) {
+    redisClient = new Redis(process.env.RATE_LIMIT_REDIS_URL, { maxRetriesPerRequest: 1 });
+    redisClient.on('error', (error) => {
+      logger.error('Rate limit store unavailable', {
+        error: error.message
+      });
+    });
+  }
+  return redisClient;
+};
+
+// Any Redis-compatible server (Redis, Valkey, Azure Cache for Redis)
+const createRedisStore = (prefix) => {
+  let windowMs;
+  const redisKey = key => `rl:${prefix}${key}`;
+
+  return {
+    prefix,
+    localKeys: false,
+    init: (options) => {
+      windowMs = options.windowMs;
+    },
+    get: async (key) => {
+      const [hits, ttl] = await Promise.all([getRedisClient().get(redisKey(key)), getRedisClient().pttl(redisKey(key))]);
+      return hits === null ? undefined : { totalHits: Number(hits), resetTime: new Date(Date.now() + Math.max(ttl, 0)) };
+    },
+    increment: async (key) => {
+      const [hits, ttl] = await getRedisClient().eval(INCREMENT_SCRIPT, 1, redisKey(key), windowMs);
+      return { totalHits: hits, resetTime: new Date(Date.now() + ttl) };
+    },
+    decrement: async (key) => {
+      await getRedisClient().eval(DECREMENT_SCRIPT, 1, redisKey(key));
+    },
+    resetKey: async (key) => {
+      await getRedisClient().del(redisKey(key));
+    }
+  };
+};
+
+const stores = {
+  sqlite: { requiredEnv: [], create: createSqliteStore },
+  redis: { requiredEnv: ['RATE_LIMIT_REDIS_URL'], create: createRedisStore },
+  // Per process and lost on restart; for tests and throwaway instances
+  memory: { requiredEnv: [], create: () => new MemoryStore() }
+};
+
+// Returns a factory for stores of the configured kind; each limiter needs its own store and prefix
+const createRateLimitStores = (name = process.env.RATE_LIMIT_STORE || 'sqlite') => {
+  const store = stores[name];
+  if (!store) {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${name}". Expected one of: ${Object.keys(stores).join(', ')}`);
+  }
+
+  const missing = store.requiredEnv.filter(env => !process.env[env]);
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables for ${name} rate limit store: ${missing.join(', ')}`);
+  }
+
+  return { name, create: prefix => store.create(`${prefix}:`) };
+};
+
+// Caps customer confirmations per recipient address, whatever IP the requests come from.
+// allow(email) resolves false once the address has had its share for the window.
+const createConfirmationLimit = (rateLimitStores) => {
+  const store = rateLimitStores.create('confirmations');
+  store.init({ windowMs: config.confirmationWindowMinutes * 60 * 1000 });
+
+  const allow = async (email) => {
+    try {
+      const { totalHits } = await store.increment(email.toLowerCase());
+      return totalHits <= config.confirmationsPerEmail;
+    } catch (error) {
+      // Same as the request limiters: a store outage must not stop customers hearing back
+      logger.error('Confirmation limit check failed, allowing send', {
+        error: error.message
+      });
+      return true;
+    }
+  };
+
+  return { allow };
+};
+
+module.exports = {
+  createConfirmationLimit,
+  createRateLimitStores
+};
@@ -0,0 +1,68 @@
+// Timeout and circuit breaker helpers for calls to external services
+const { logger } = require('./logger');
+
+// Reject when the call does not settle in time; onTimeout lets the caller abort the request
+const withTimeout = (promise, ms, { message = `Timed out after ${ms}ms`, onTimeout } = {}) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      if (onTimeout) onTimeout();
+      const error = new Error(message);
+      error.code = 'ETIMEDOUT';
+      reject(error);
+    }, ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Stop calling a failing service for a while; after the cool-down one trial call decides whether to close again
+const createCircuitBreaker = ({ name, failureThreshold = 5, resetTimeoutMs = 60 * 1000 }) => {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  const open = () => {
+    state = 'open';
+    openedAt = Date.now();
+    logger.warn(`Circuit ${name} opened`, {
+      failures,
+      retryAfter: new Date(openedAt + resetTimeoutMs).toISOString()
+    });
+  };
+
+  const exec = async (fn) => {
+    if (state === 'open' && Date.now() - openedAt >= resetTimeoutMs) {
+      state = 'half-open';
+    }
+
+    if (state === 'open' || (state === 'half-open' && trialInFlight)) {
+      const error = new Error(`${name} circuit is open`);
+      error.code = 'CIRCUIT_OPEN';
+      throw error;
+    }
+
+    const isTrial = state === 'half-open';
+    trialInFlight = isTrial;
+
+    try {
+      const result = await fn();
+      failures = 0;
+      state = 'closed';
+      return result;
+    } catch (error) {
+      failures += 1;
+      if (isTrial || failures >= failureThreshold) {
+        open();
+      }
+      throw error;
+    } finally {
+      if (isTrial) trialInFlight = false;
+    }
+  };
+
+  return { exec, getState: () => state };
+};
+
+module.exports = { withTimeout, createCircuitBreaker };
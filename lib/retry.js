@@ -0,0 +1,137 @@
+// Exponential backoff shared by the background delivery workers, and the worker loop itself
+const { getDb } = require('./db');
+const { logger, withCorrelationId } = require('./logger');
+
+const backoffDelay = (attempt, { baseMs, maxMs }) => {
+  const delay = baseMs * Math.pow(2, Math.max(attempt - 1, 0));
+  // Up to 10% jitter so retries from a burst of failures spread out
+  const jitter = Math.floor(Math.random() * delay * 0.1);
+  return Math.min(delay + jitter, maxMs);
+};
+
+// Background worker over a queue table (id, submission_id, status, attempts, last_error, next_attempt_at,
+// updated_at; correlation_id if it has one). Rows go pending → sending → doneStatus, or back to pending
+// with backoff until config.maxAttempts, then dead; held rows wait for releaseHeld.
+//
+// deliver(row, target, attempt) resolves to { error, columns, giveUp }: error is null on success, columns are
+// extra columns to store either way and giveUp marks the row dead without further retries. target is
+// whatever start() was given (the senders, the webhook registry).
+const createDeliveryWorker = ({ table, name, label, config, doneStatus, deliver, deadFields }) => {
+  let target = null;
+  let timer = null;
+  let running = false;
+
+  // Mark a batch of due rows as sending so they are only picked up once
+  const claimDue = () => {
+    const db = getDb();
+    return db.transaction(() => {
+      const now = new Date().toISOString();
+      const rows = db.prepare(`
+        SELECT * FROM ${table}
+        WHERE status = 'pending' AND next_attempt_at <= ?
+        ORDER BY next_attempt_at
+        LIMIT ?
+      `).all(now, config.batchSize);
+
+      const markSending = db.prepare(`UPDATE ${table} SET status = 'sending', updated_at = ? WHERE id = ?`);
+      rows.forEach(row => markSending.run(now, row.id));
+      return rows;
+    })();
+  };
+
+  const update = (id, values) => {
+    const names = Object.keys(values);
+    getDb().prepare(`UPDATE ${table} SET ${names.map(column => `${column} = @${column}`).join(', ')} WHERE id = @id`)
+      .run({ ...values, id });
+  };
+
+  const attempt = async (row) => {
+    const attempts = row.attempts + 1;
+    const { error, columns = {}, giveUp = false } = await deliver(row, target, attempts);
+    const now = new Date();
+    const common = { ...columns, attempts, updated_at: now.toISOString() };
+
+    if (!error) {
+      update(row.id, { ...common, status: doneStatus, last_error: null });
+      return;
+    }
+
+    if (giveUp || attempts >= config.maxAttempts) {
+      update(row.id, { ...common, status: 'dead', last_error: error });
+      logger.error(`${label} ${row.id} marked dead after ${attempts} attempts`, deadFields(row, error));
+      return;
+    }
+
+    const nextAttemptAt = new Date(now.getTime() + backoffDelay(attempts, { baseMs: config.baseDelayMs, maxMs: config.maxDelayMs }));
+    update(row.id, { ...common, status: 'pending', last_error: error, next_attempt_at: nextAttemptAt.toISOString() });
+  };
+
+  // Deliver every due row; overlapping calls are collapsed into the running one
+  const processDue = async () => {
+    if (running || !target) return;
+    running = true;
+
+    try {
+      let rows = claimDue();
+      while (rows.length > 0) {
+        // Logged under the ID of the request that queued the row, never the one that woke the worker
+        for (const row of rows) {
+          await withCorrelationId(row.correlation_id || null, () => attempt(row));
+        }
+        rows = claimDue();
+      }
+    } catch (error) {
+      logger.error(`${name} processing error`, {
+        error: error.message
+      });
+    } finally {
+      running = false;
+    }
+  };
+
+  // Deliver right away instead of waiting for the next poll
+  const wake = () => {
+    if (target) {
+      setImmediate(processDue);
+    }
+  };
+
+  const start = (deliveryTarget) => {
+    target = deliveryTarget;
+
+    // Rows left mid-send by a crash or restart are retried
+    getDb().prepare(`UPDATE ${table} SET status = 'pending', updated_at = ? WHERE status = 'sending'`)
+      .run(new Date().toISOString());
+
+    timer = setInterval(processDue, config.pollIntervalMs);
+    timer.unref();
+    setImmediate(processDue);
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    target = null;
+  };
+
+  // Queue a submission's held rows now (quarantine release)
+  const releaseHeld = (submissionId) => {
+    const now = new Date().toISOString();
+    const { changes } = getDb().prepare(`
+      UPDATE ${table} SET status = 'pending', next_attempt_at = ?, updated_at = ?
+      WHERE submission_id = ? AND status = 'held'
+    `).run(now, now, submissionId);
+
+    if (changes > 0) wake();
+    return changes;
+  };
+
+  // Drop a submission's held rows without sending them (kept for the record)
+  const discardHeld = (submissionId) => getDb().prepare(`
+    UPDATE ${table} SET status = 'discarded', updated_at = ?
+    WHERE submission_id = ? AND status = 'held'
+  `).run(new Date().toISOString(), submissionId).changes;
+
+  return { discardHeld, processDue, releaseHeld, start, stop, wake };
+};
+
+module.exports = { backoffDelay, createDeliveryWorker };
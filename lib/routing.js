@@ -0,0 +1,163 @@
+// Notification routing: picks the To/CC/BCC recipients of company emails (and who to escalate to)
+// from rules on request type, serviceType, urgency, service zone and business time of day
+const path = require('path');
+const { isEmail, unescape } = require('validator');
+const { loadConfigFile } = require('./config');
+const { businessDay, businessTimeOfDay, weekday } = require('./timezone');
+
+const DEFAULT_ROUTING_FILE = path.join(__dirname, '..', 'config', 'routing.json');
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const URGENCY_LEVELS = ['Low', 'Medium', 'High', 'Urgent'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const RECIPIENT_LISTS = ['to', 'cc', 'bcc'];
+
+// "$SUPPORT_ACCOUNT" reads the address from the environment; anything else is the address itself
+const resolveRecipient = entry => (entry.startsWith('$') ? process.env[entry.slice(1)] : entry);
+
+// Problems with the rules: match values, recipients, unset $ variables and escalations
+const validateRouting = (rules, { zoneIds }) => {
+  const problems = [];
+  const seenIds = new Set();
+
+  const checkRecipients = (label, field, list) => {
+    if (!Array.isArray(list)) {
+      problems.push(`${label}: "${field}" must be an array`);
+      return;
+    }
+    list.forEach((entry) => {
+      if (typeof entry !== 'string') {
+        problems.push(`${label}: "${field}" entries must be strings`);
+      } else if (entry.startsWith('$') && !process.env[entry.slice(1)]) {
+        problems.push(`${label}: environment variable ${entry.slice(1)} is not set`);
+      } else if (!isEmail(resolveRecipient(entry))) {
+        problems.push(`${label}: "${entry}" is not an email address`);
+      }
+    });
+  };
+
+  const checkList = (label, field, values, allowed) => {
+    if (values === undefined) return;
+    if (!Array.isArray(values) || values.length === 0) {
+      problems.push(`${label}: "match.${field}" must be a non-empty array`);
+    } else if (allowed) {
+      values.filter(value => !allowed.includes(value))
+        .forEach(value => problems.push(`${label}: unknown ${field} value "${value}"`));
+    }
+  };
+
+  if (!Array.isArray(rules)) {
+    problems.push('"rules" must be an array');
+  }
+
+  (Array.isArray(rules) ? rules : []).forEach((rule, index) => {
+    const label = rule && rule.id ? `rule "${rule.id}"` : `rule #${index + 1}`;
+    if (!rule || typeof rule.id !== 'string' || !/^[a-z0-9-]{1,40}$/.test(rule.id)) {
+      problems.push(`${label}: "id" must be 1-40 lowercase letters, digits or dashes`);
+    } else if (seenIds.has(rule.id)) {
+      problems.push(`${label}: duplicate id`);
+    } else {
+      seenIds.add(rule.id);
+    }
+
+    const match = (rule && rule.match) || {};
+    if (match.type !== undefined && !['service', 'support'].includes(match.type)) {
+      problems.push(`${label}: "match.type" must be service or support`);
+    }
+    checkList(label, 'serviceTypes', match.serviceTypes);
+    checkList(label, 'urgency', match.urgency, URGENCY_LEVELS);
+    checkList(label, 'zones', match.zones, zoneIds);
+    checkList(label, 'days', match.days, WEEKDAYS);
+    if (match.hours !== undefined && !(match.hours && TIME_PATTERN.test(match.hours.from) && TIME_PATTERN.test(match.hours.to))) {
+      problems.push(`${label}: "match.hours" must be { "from": "HH:MM", "to": "HH:MM" }`);
+    }
+
+    const lists = RECIPIENT_LISTS.filter(field => rule && rule[field] !== undefined);
+    if (lists.length === 0 && !(rule && rule.escalation)) {
+      problems.push(`${label}: set at least one of "to", "cc", "bcc" or "escalation"`);
+    }
+    lists.forEach(field => checkRecipients(label, field, rule[field]));
+
+    if (rule && rule.escalation !== undefined) {
+      const { afterMinutes, to } = rule.escalation || {};
+      if (!Number.isInteger(afterMinutes) || afterMinutes <= 0) {
+        problems.push(`${label}: "escalation.afterMinutes" must be a positive integer`);
+      }
+      checkRecipients(label, 'escalation.to', to);
+      // Support requests have no status to show someone picked them up
+      if (match.type !== 'service') {
+        problems.push(`${label}: escalation needs "match.type": "service"`);
+      }
+    }
+  });
+
+  return problems;
+};
+
+const inList = (values, value) => !values || values.some(candidate => candidate.toLowerCase() === String(value || '').toLowerCase());
+
+// from/to in business time; a window like 17:00-08:00 runs past midnight
+const inHours = (hours, time) => {
+  if (!hours) return true;
+  return hours.from <= hours.to
+    ? time >= hours.from && time < hours.to
+    : time >= hours.from || time < hours.to;
+};
+
+// serviceType comes HTML-escaped from the form ("Sewer &amp; Septic"); rules have the plain name
+const matches = (match = {}, { type, serviceType, urgency, zoneId, at }) => (!match.type || match.type === type)
+  && inList(match.serviceTypes, serviceType && unescape(serviceType))
+  && inList(match.urgency, urgency)
+  && inList(match.zones, zoneId)
+  && inList(match.days, WEEKDAYS[weekday(businessDay(at))])
+  && inHours(match.hours, businessTimeOfDay(at));
+
+// Load and validate the routing rules; returns { rules, route(request) }. supportAccount is where
+// emails go when no rule names a recipient.
+const loadRouting = (filePath = process.env.ROUTING_FILE || DEFAULT_ROUTING_FILE, { zoneIds, supportAccount = process.env.SUPPORT_ACCOUNT } = {}) => {
+  const { rules } = loadConfigFile(filePath, {
+    description: 'notification routing',
+    validate: (definition = {}) => validateRouting(definition.rules, { zoneIds })
+  });
+
+  // Every matching rule adds its recipients, in file order, until one marked "final". With no To
+  // address from any rule the email goes to the support account. The earliest escalation wins and
+  // reaches everyone listed by the matching rules.
+  const route = ({ type, serviceType, urgency, zoneId, at = new Date() }) => {
+    const result = { to: [], cc: [], bcc: [], rules: [], escalation: null };
+
+    for (const rule of rules) {
+      if (!matches(rule.match, { type, serviceType, urgency, zoneId, at })) continue;
+
+      result.rules.push(rule.id);
+      RECIPIENT_LISTS.forEach((field) => {
+        (rule[field] || []).map(resolveRecipient).forEach(address => result[field].push(address.toLowerCase()));
+      });
+
+      if (rule.escalation) {
+        result.escalation = {
+          afterMinutes: Math.min(rule.escalation.afterMinutes, result.escalation ? result.escalation.afterMinutes : Infinity),
+          to: [...(result.escalation ? result.escalation.to : []), ...rule.escalation.to.map(resolveRecipient).map(address => address.toLowerCase())]
+        };
+      }
+
+      if (rule.final) break;
+    }
+
+    if (result.to.length === 0) {
+      result.to.push(supportAccount.toLowerCase());
+    }
+
+    // Each address once, in the most visible list it appears in
+    const to = [...new Set(result.to)];
+    const cc = [...new Set(result.cc)].filter(address => !to.includes(address));
+    const bcc = [...new Set(result.bcc)].filter(address => !to.includes(address) && !cc.includes(address));
+    const escalation = result.escalation && { ...result.escalation, to: [...new Set(result.escalation.to)] };
+
+    return { to, cc, bcc, rules: result.rules, escalation };
+  };
+
+  return { rules, route };
+};
+
+module.exports = { loadRouting };
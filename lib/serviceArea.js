@@ -0,0 +1,60 @@
+// Service area: ZIP codes grouped into zones, each with an optional travel fee
+const path = require('path');
+const { loadConfigFile } = require('./config');
+
+const DEFAULT_SERVICE_AREA_FILE = path.join(__dirname, '..', 'config', 'service-area.json');
+
+// Problems with the zone table: missing fields, bad or repeated ZIP codes, duplicate zones
+const validateZones = (zones) => {
+  const problems = [];
+  const seenIds = new Set();
+  const seenZips = new Map();
+
+  if (!Array.isArray(zones) || zones.length === 0) {
+    problems.push('"zones" must be a non-empty array');
+  }
+
+  (Array.isArray(zones) ? zones : []).forEach((zone, index) => {
+    const label = zone && zone.id ? `zone "${zone.id}"` : `zone #${index + 1}`;
+    if (!zone || typeof zone.id !== 'string' || !zone.id) problems.push(`${label}: "id" is required`);
+    else if (seenIds.has(zone.id)) problems.push(`${label}: duplicate id`);
+    if (!zone || typeof zone.name !== 'string' || !zone.name) problems.push(`${label}: "name" is required`);
+    if (zone && zone.travelFee !== undefined && !(typeof zone.travelFee === 'number' && zone.travelFee >= 0)) {
+      problems.push(`${label}: "travelFee" must be a non-negative number`);
+    }
+    if (!zone || !Array.isArray(zone.zipCodes) || zone.zipCodes.length === 0) {
+      problems.push(`${label}: "zipCodes" must be a non-empty array`);
+    }
+
+    ((zone && Array.isArray(zone.zipCodes)) ? zone.zipCodes : []).forEach((zip) => {
+      if (!/^\d{5}$/.test(zip)) problems.push(`${label}: "${zip}" is not a 5-digit ZIP code`);
+      else if (seenZips.has(zip)) problems.push(`${label}: ${zip} is already in zone "${seenZips.get(zip)}"`);
+      else seenZips.set(zip, zone.id);
+    });
+
+    if (zone && zone.id) seenIds.add(zone.id);
+  });
+
+  return problems;
+};
+
+// Load and validate a service-area file; returns { zones, findZone(zipCode) }
+const loadServiceArea = (filePath = process.env.SERVICE_AREA_FILE || DEFAULT_SERVICE_AREA_FILE) => {
+  const definition = loadConfigFile(filePath, {
+    description: 'service area',
+    validate: ({ zones } = {}) => validateZones(zones)
+  });
+
+  const zones = definition.zones.map(({ id, name, travelFee = 0 }) => ({ id, name, travelFee }));
+  const zoneByZip = new Map();
+  definition.zones.forEach((zone, index) => {
+    zone.zipCodes.forEach(zip => zoneByZip.set(zip, zones[index]));
+  });
+
+  // ZIP+4 codes match on their first five digits; null means outside the service area
+  const findZone = (zipCode) => zoneByZip.get(String(zipCode || '').trim().slice(0, 5)) || null;
+
+  return { zones, findZone };
+};
+
+module.exports = { loadServiceArea };
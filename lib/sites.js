@@ -0,0 +1,158 @@
+// Site registry: which websites may post to this backend and, for each, the brand, support account,
+// deals, service area, notification routing and form rate limit its submissions are handled with
+const crypto = require('crypto');
+const path = require('path');
+const { isEmail, isURL } = require('validator');
+const { getBrand, loadBrand } = require('./brand');
+const { assertValid, readConfigFile } = require('./config');
+const { loadDeals } = require('./deals');
+const { loadServiceArea } = require('./serviceArea');
+const { loadRouting } = require('./routing');
+
+const DEFAULT_RATE_LIMIT = { max: 5, windowMinutes: 15 };
+const FILE_FIELDS = ['brandFile', 'dealsFile', 'serviceAreaFile', 'routingFile'];
+
+// "https://example.com" with nothing after the host (and port), as browsers send it in Origin
+const isOrigin = value => typeof value === 'string'
+  && isURL(value, { protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+  && new URL(value).origin === value;
+
+// "$SUPPORT_ACCOUNT" reads the address from the environment; anything else is the address itself
+const resolveAddress = value => (value.startsWith('$') ? process.env[value.slice(1)] : value);
+
+// Problems with the registry: ids, origins, keys, mailboxes, file paths and the default site
+const validateSites = (sites) => {
+  const problems = [];
+  const seenIds = new Set();
+  const seenOrigins = new Set();
+
+  if (!Array.isArray(sites) || sites.length === 0) {
+    problems.push('"sites" must be a non-empty array');
+  }
+
+  (Array.isArray(sites) ? sites : []).forEach((site, index) => {
+    const label = site && site.id ? `site "${site.id}"` : `site #${index + 1}`;
+    if (!site || typeof site.id !== 'string' || !/^[a-z0-9-]{1,40}$/.test(site.id)) {
+      problems.push(`${label}: "id" must be 1-40 lowercase letters, digits or dashes`);
+    } else if (seenIds.has(site.id)) {
+      problems.push(`${label}: duplicate id`);
+    } else {
+      seenIds.add(site.id);
+    }
+
+    const origins = site && site.origins;
+    if (!Array.isArray(origins) || origins.length === 0) {
+      problems.push(`${label}: "origins" must be a non-empty array`);
+    } else {
+      origins.forEach((origin) => {
+        if (!isOrigin(origin)) {
+          problems.push(`${label}: "${origin}" is not an origin (scheme and host only, e.g. https://example.com)`);
+        } else if (seenOrigins.has(origin)) {
+          problems.push(`${label}: origin ${origin} belongs to another site`);
+        } else {
+          seenOrigins.add(origin);
+        }
+      });
+    }
+
+    // The key itself stays out of the file
+    if (site && site.apiKeyEnv !== undefined) {
+      if (typeof site.apiKeyEnv !== 'string' || !/^[A-Z][A-Z0-9_]*$/.test(site.apiKeyEnv)) {
+        problems.push(`${label}: "apiKeyEnv" must be an environment variable name`);
+      } else if ((process.env[site.apiKeyEnv] || '').length < 16) {
+        problems.push(`${label}: environment variable ${site.apiKeyEnv} must hold a key of at least 16 characters`);
+      }
+    }
+
+    const supportAccount = site && site.supportAccount;
+    if (typeof supportAccount !== 'string') {
+      problems.push(`${label}: "supportAccount" is required`);
+    } else if (supportAccount.startsWith('$') && !process.env[supportAccount.slice(1)]) {
+      problems.push(`${label}: environment variable ${supportAccount.slice(1)} is not set`);
+    } else if (!isEmail(resolveAddress(supportAccount))) {
+      problems.push(`${label}: "${supportAccount}" is not an email address`);
+    }
+
+    FILE_FIELDS.filter(field => site && site[field] !== undefined && typeof site[field] !== 'string')
+      .forEach(field => problems.push(`${label}: "${field}" must be a file path`));
+
+    const rateLimit = site && site.rateLimit;
+    if (rateLimit !== undefined && !(rateLimit
+      && Number.isInteger(rateLimit.max) && rateLimit.max > 0
+      && Number.isInteger(rateLimit.windowMinutes) && rateLimit.windowMinutes > 0)) {
+      problems.push(`${label}: "rateLimit" must be { "max": positive integer, "windowMinutes": positive integer }`);
+    }
+  });
+
+  const defaults = (Array.isArray(sites) ? sites : []).filter(site => site && site.default);
+  if (defaults.length > 1) {
+    problems.push('only one site can be "default"');
+  }
+
+  return problems;
+};
+
+// Each site's config files, with the site named in any error
+const loadSiteProfile = (site, baseDir) => {
+  const resolve = field => (site[field] ? path.resolve(baseDir, site[field]) : undefined);
+  const supportAccount = resolveAddress(site.supportAccount).toLowerCase();
+
+  try {
+    const serviceArea = loadServiceArea(resolve('serviceAreaFile'));
+    return {
+      id: site.id,
+      origins: site.origins,
+      apiKey: site.apiKeyEnv ? process.env[site.apiKeyEnv] : null,
+      supportAccount,
+      brand: site.brandFile ? loadBrand(resolve('brandFile')) : getBrand(),
+      deals: loadDeals(resolve('dealsFile')),
+      serviceArea,
+      routing: loadRouting(resolve('routingFile'), { zoneIds: serviceArea.zones.map(zone => zone.id), supportAccount }),
+      rateLimit: { ...DEFAULT_RATE_LIMIT, ...site.rateLimit },
+      isDefault: Boolean(site.default)
+    };
+  } catch (error) {
+    throw new Error(`Site "${site.id}": ${error.message}`);
+  }
+};
+
+// Without SITES_FILE: one site from WEBSITE_URL, SUPPORT_ACCOUNT and the usual config files
+const singleSiteDefinition = () => ({
+  id: 'default',
+  origins: [process.env.WEBSITE_URL],
+  supportAccount: '$SUPPORT_ACCOUNT',
+  default: true
+});
+
+const hashKey = key => crypto.createHash('sha256').update(String(key)).digest();
+
+// Load and validate the registry; returns { sites, defaultSite, get(id), forOrigin(origin), forApiKey(key) }
+const loadSites = (filePath = process.env.SITES_FILE) => {
+  const definitions = filePath ? (readConfigFile(filePath, 'site registry') || {}).sites : [singleSiteDefinition()];
+  assertValid(validateSites(definitions), `Invalid site registry in ${filePath || 'WEBSITE_URL and SUPPORT_ACCOUNT'}`);
+
+  // Relative paths in the registry are relative to the registry file
+  const baseDir = filePath ? path.dirname(path.resolve(filePath)) : process.cwd();
+  const sites = definitions.map(site => loadSiteProfile(site, baseDir));
+  const defaultSite = sites.find(site => site.isDefault) || sites[0];
+
+  const byId = new Map(sites.map(site => [site.id, site]));
+  const byOrigin = new Map(sites.flatMap(site => site.origins.map(origin => [origin, site])));
+  const keyed = sites.filter(site => site.apiKey).map(site => ({ site, digest: hashKey(site.apiKey) }));
+
+  // Submissions stored before sites existed (or for a site since removed) belong to the default site
+  const get = id => byId.get(id) || defaultSite;
+
+  const forOrigin = origin => byOrigin.get(origin) || null;
+
+  // Compared as digests so the check takes the same time whatever the key
+  const forApiKey = (key) => {
+    const digest = hashKey(key);
+    const match = keyed.find(entry => crypto.timingSafeEqual(entry.digest, digest));
+    return match ? match.site : null;
+  };
+
+  return { sites, defaultSite, get, forOrigin, forApiKey };
+};
+
+module.exports = { loadSites };
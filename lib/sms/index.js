@@ -0,0 +1,27 @@
+// SMS provider registry: picks Twilio or the local stub from SMS_PROVIDER (unset = no texts)
+const twilio = require('./twilio');
+const stub = require('./stub');
+
+const providers = {
+  twilio,
+  stub
+};
+
+// Returns null when SMS is turned off
+const createSmsProvider = (name = process.env.SMS_PROVIDER) => {
+  if (!name || name === 'off') return null;
+
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown SMS_PROVIDER "${name}". Expected one of: ${Object.keys(providers).join(', ')}, off`);
+  }
+
+  const missing = provider.requiredEnv.filter(env => !process.env[env]);
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables for ${name} SMS provider: ${missing.join(', ')}`);
+  }
+
+  return provider.create();
+};
+
+module.exports = { createSmsProvider };
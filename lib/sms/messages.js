@@ -0,0 +1,48 @@
+// Who gets a text and what it says: the on-call phone for urgent service requests and,
+// when they ask for it, the customer
+const { unescape } = require('validator');
+const { formatPhone, normalizePhone } = require('../phone');
+const { getBrand } = require('../brand');
+
+const MAX_LENGTH = 320; // two SMS segments
+
+const config = {
+  alertUrgencies: (process.env.SMS_ALERT_URGENCIES || 'Urgent,High').split(',').map(urgency => urgency.trim()).filter(Boolean),
+  customerConfirmations: process.env.SMS_CUSTOMER_CONFIRMATIONS === 'true'
+};
+
+// ON_CALL_PHONE (comma separated) as E.164 numbers; throws on one we could not text
+const loadOnCallPhones = (value = process.env.ON_CALL_PHONE || '') => {
+  const entries = value.split(',').map(entry => entry.trim()).filter(Boolean);
+  const invalid = entries.filter(entry => !normalizePhone(entry));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid ON_CALL_PHONE number(s): ${invalid.join(', ')}`);
+  }
+  return [...new Set(entries.map(normalizePhone))];
+};
+
+const shouldAlert = urgency => config.alertUrgencies.includes(urgency);
+
+const truncate = text => (text.length > MAX_LENGTH ? `${text.slice(0, MAX_LENGTH - 1)}…` : text);
+
+// Form values arrive HTML-escaped for the emails; texts are plain
+const urgentAlertText = (submission) => {
+  const phone = submission.phone ? ` ${formatPhone(normalizePhone(submission.phone)) || submission.phone}` : '';
+  return truncate(unescape(
+    `${submission.urgency.toUpperCase()} ${submission.requestId}: ${submission.serviceType} at ${submission.address}. ` +
+    `${submission.name}${phone}. Details in the service request email.`
+  ));
+};
+
+const customerConfirmationText = (submission, brand = getBrand()) => truncate(unescape(
+  `${brand.name}: we received your ${submission.serviceType} request ${submission.requestId} and will call to confirm a time. ` +
+  'Reply STOP to opt out.'
+));
+
+module.exports = {
+  customerConfirmationText,
+  customerConfirmationsEnabled: config.customerConfirmations,
+  loadOnCallPhones,
+  shouldAlert,
+  urgentAlertText
+};
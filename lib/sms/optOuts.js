@@ -0,0 +1,40 @@
+// SMS opt-outs: numbers that replied STOP (or a carrier reported as unsubscribed) are never texted again
+// until they reply START
+const { getDb } = require('../db');
+
+// The standard carrier keywords, matched against the whole message
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'REVOKE', 'OPTOUT'];
+const OPT_IN_KEYWORDS = ['START', 'UNSTOP', 'YES', 'OPTIN'];
+
+const isOptedOut = phone => Boolean(getDb().prepare('SELECT 1 FROM sms_opt_outs WHERE phone = ?').get(phone));
+
+const recordOptOut = (phone, source) => {
+  getDb().prepare(`
+    INSERT INTO sms_opt_outs (phone, source, opted_out_at) VALUES (?, ?, ?)
+    ON CONFLICT (phone) DO NOTHING
+  `).run(phone, source, new Date().toISOString());
+};
+
+const recordOptIn = (phone) => {
+  getDb().prepare('DELETE FROM sms_opt_outs WHERE phone = ?').run(phone);
+};
+
+// Apply an inbound message from an E.164 number; returns 'opted-out', 'opted-in' or null when it is not a keyword
+const handleInboundKeyword = (phone, text) => {
+  const keyword = String(text || '').trim().toUpperCase().replace(/[^A-Z]/g, '');
+  if (OPT_OUT_KEYWORDS.includes(keyword)) {
+    recordOptOut(phone, 'keyword');
+    return 'opted-out';
+  }
+  if (OPT_IN_KEYWORDS.includes(keyword)) {
+    recordOptIn(phone);
+    return 'opted-in';
+  }
+  return null;
+};
+
+module.exports = {
+  handleInboundKeyword,
+  isOptedOut,
+  recordOptOut
+};
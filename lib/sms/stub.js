@@ -0,0 +1,21 @@
+// Stub SMS provider: logs each text instead of sending it; inbound messages are accepted unsigned
+const { logger } = require('../logger');
+
+const requiredEnv = [];
+
+const create = () => {
+  const send = async ({ to, body }) => {
+    const messageId = `stub-${Date.now().toString(36)}${Math.random().toString(36).substr(2)}`;
+    logger.info(`SMS [${messageId}]`, { to, body });
+    return { messageId };
+  };
+
+  return {
+    name: 'stub',
+    send,
+    verifyInbound: () => true,
+    parseInbound: req => ({ from: req.body.From, text: req.body.Body || '' })
+  };
+};
+
+module.exports = { requiredEnv, create };
@@ -0,0 +1,52 @@
+// Twilio-style SMS over the Messages REST API (also works with Twilio-compatible providers via TWILIO_API_BASE)
+const crypto = require('crypto');
+
+const requiredEnv = ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_FROM_NUMBER'];
+
+const SEND_TIMEOUT_MS = 10000;
+
+// Twilio's error for a recipient who has replied STOP to our number
+const UNSUBSCRIBED_ERROR_CODE = 21610;
+
+const create = () => {
+  const apiBase = process.env.TWILIO_API_BASE || 'https://api.twilio.com';
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+  const send = async ({ to, body }) => {
+    const response = await fetch(`${apiBase}/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({ To: to, From: process.env.TWILIO_FROM_NUMBER, Body: body }),
+      signal: AbortSignal.timeout(SEND_TIMEOUT_MS)
+    });
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = new Error(result.message || `Twilio responded with HTTP ${response.status}`);
+      error.unsubscribed = result.code === UNSUBSCRIBED_ERROR_CODE;
+      throw error;
+    }
+
+    return { messageId: result.sid };
+  };
+
+  // X-Twilio-Signature: base64 HMAC-SHA1 of the public webhook URL followed by every POST
+  // parameter name and value, sorted by name. Behind a proxy, set SMS_INBOUND_URL to the URL configured in Twilio.
+  const verifyInbound = (req) => {
+    const url = process.env.SMS_INBOUND_URL || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+    const signed = Object.keys(req.body || {}).sort().reduce((data, key) => data + key + req.body[key], url);
+    const expected = crypto.createHmac('sha1', authToken).update(signed).digest('base64');
+    const signature = req.get('X-Twilio-Signature') || '';
+    return signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  };
+
+  const parseInbound = req => ({ from: req.body.From, text: req.body.Body || '' });
+
+  return { name: 'twilio', send, verifyInbound, parseInbound };
+};
+
+module.exports = { requiredEnv, create };
@@ -0,0 +1,145 @@
+// Layered spam scoring for the public forms: honeypot, signed form token with a minimum fill time,
+// link and keyword scoring, and an optional CAPTCHA
+const crypto = require('crypto');
+const { validationResult } = require('express-validator');
+const { unescape } = require('validator');
+const { getDb } = require('./db');
+const { logger } = require('./logger');
+
+const DEFAULT_KEYWORDS = ['viagra', 'cialis', 'casino', 'crypto', 'bitcoin', 'forex', 'backlinks', 'seo services', 'payday loan', 'escort'];
+
+// Points per signal; a submission at or over the threshold is quarantined. The forms always send a
+// token, so a missing one counts like a bad one rather than letting a bot skip the check.
+const SCORES = {
+  honeypot: 10,
+  invalidToken: 5,
+  tooFast: 5,
+  missingToken: 5,
+  link: 2,
+  keyword: 3
+};
+
+// Counts URLs in plain text (anchor tags included, via their href)
+const countLinks = (text) => (text.match(/\b(?:https?:\/\/|www\.)\S+/gi) || []).length;
+
+// Spam checks configured from the environment (FORM_TOKEN_SECRET, SPAM_*); call once at startup, after
+// .env is loaded. Returns { issueFormToken, minSubmitSeconds, scoreSubmission, guard }.
+const createSpamFilter = ({ captcha = null } = {}) => {
+  const config = {
+    formTokenSecret: process.env.FORM_TOKEN_SECRET,
+    honeypotField: process.env.SPAM_HONEYPOT_FIELD || 'website',
+    minSubmitSeconds: parseInt(process.env.SPAM_MIN_SUBMIT_SECONDS, 10) || 3,
+    maxTokenAgeSeconds: parseInt(process.env.FORM_TOKEN_MAX_AGE_SECONDS, 10) || 2 * 60 * 60, // 2 hours
+    threshold: parseInt(process.env.SPAM_SCORE_THRESHOLD, 10) || 5,
+    keywords: (process.env.SPAM_KEYWORDS ? process.env.SPAM_KEYWORDS.split(',') : DEFAULT_KEYWORDS)
+      .map(keyword => keyword.trim().toLowerCase())
+      .filter(Boolean)
+  };
+
+  if (!config.formTokenSecret) {
+    // Tokens then stop verifying after a restart and across instances, so set it in production
+    config.formTokenSecret = crypto.randomBytes(32).toString('hex');
+    logger.warn('FORM_TOKEN_SECRET is not set; using a random per-process secret for form tokens');
+  }
+
+  const sign = (payload) => crypto.createHmac('sha256', config.formTokenSecret).update(payload).digest('base64url');
+
+  // "<issued-at>.<nonce>.<signature>", fetched by the form when it is rendered
+  const issueFormToken = (now = Date.now()) => {
+    const payload = `${now.toString(36)}.${crypto.randomBytes(8).toString('hex')}`;
+    return `${payload}.${sign(payload)}`;
+  };
+
+  // Record the nonce until the token would have expired anyway; false when it was already used
+  const useNonce = (nonce, issuedAtMs, now) => {
+    const db = getDb();
+    db.prepare('DELETE FROM form_token_nonces WHERE expires_at <= ?').run(new Date(now).toISOString());
+    const expiresAt = new Date(issuedAtMs + config.maxTokenAgeSeconds * 1000).toISOString();
+    return db.prepare('INSERT OR IGNORE INTO form_token_nonces (nonce, expires_at) VALUES (?, ?)').run(nonce, expiresAt).changes > 0;
+  };
+
+  // { reason, points } for whatever is wrong with the token, or null when it is fine. A good token
+  // is spent: sending it again counts as a bad one.
+  const checkFormToken = (token, now) => {
+    if (!token) return { reason: 'missing-form-token', points: SCORES.missingToken };
+
+    const [issuedAt, nonce, signature] = String(token).split('.');
+    const expected = issuedAt && nonce ? sign(`${issuedAt}.${nonce}`) : '';
+    const valid = Boolean(signature) && signature.length === expected.length
+      && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    if (!valid) return { reason: 'invalid-form-token', points: SCORES.invalidToken };
+
+    const issuedAtMs = parseInt(issuedAt, 36);
+    const ageSeconds = (now - issuedAtMs) / 1000;
+    if (ageSeconds > config.maxTokenAgeSeconds) return { reason: 'expired-form-token', points: SCORES.invalidToken };
+    if (!useNonce(nonce, issuedAtMs, now)) return { reason: 'reused-form-token', points: SCORES.invalidToken };
+    if (ageSeconds < config.minSubmitSeconds) return { reason: 'submitted-too-fast', points: SCORES.tooFast };
+    return null;
+  };
+
+  // Score a submission; body is the parsed form, texts the free-text fields to inspect
+  const scoreSubmission = ({ body, texts, now = Date.now() }) => {
+    const reasons = [];
+    let score = 0;
+    const add = (reason, points) => {
+      reasons.push(reason);
+      score += points;
+    };
+
+    if (body[config.honeypotField]) {
+      add('honeypot', SCORES.honeypot);
+    }
+
+    const tokenProblem = checkFormToken(body.formToken, now);
+    if (tokenProblem) {
+      add(tokenProblem.reason, tokenProblem.points);
+    }
+
+    // Text fields arrive HTML-escaped ("/" becomes "&#x2F;")
+    const text = unescape(texts.filter(Boolean).join('\n'));
+    const links = countLinks(text);
+    if (links > 0) {
+      add(`links:${links}`, links * SCORES.link);
+    }
+
+    const lowered = text.toLowerCase();
+    config.keywords
+      .filter(keyword => lowered.includes(keyword))
+      .forEach(keyword => add(`keyword:${keyword}`, SCORES.keyword));
+
+    return { score, reasons, quarantined: score >= config.threshold };
+  };
+
+  // Middleware for the form routes: rejects failed CAPTCHAs, otherwise sets req.spam = { score, reasons, quarantined }.
+  // Runs after validation so it sees the escaped values the emails will contain; invalid input is left for
+  // the route to reject without spending the single-use CAPTCHA token or the form token.
+  const guard = ({ textFields }) => async (req, res, next) => {
+    if (!validationResult(req).isEmpty()) return next();
+
+    try {
+      if (captcha) {
+        const passed = await captcha.verify(req.body.captchaToken, req.ip);
+        if (!passed) {
+          return res.status(400).json({
+            success: false,
+            error: 'CAPTCHA verification failed. Please try again.'
+          });
+        }
+      }
+
+      req.spam = scoreSubmission({ body: req.body, texts: textFields.map(field => req.body[field]) });
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  return {
+    guard,
+    issueFormToken,
+    minSubmitSeconds: config.minSubmitSeconds,
+    scoreSubmission
+  };
+};
+
+module.exports = { createSpamFilter };
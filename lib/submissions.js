@@ -0,0 +1,279 @@
+// Persistent store of service and support submissions with per-day sequential request IDs
+const { getDb } = require('./db');
+const { BUSINESS_TIMEZONE, addDays, businessDay, businessTimeToDate } = require('./timezone');
+const { releaseSlot } = require('./availability');
+const { releaseRedemption } = require('./deals');
+
+const REQUEST_ID_PREFIXES = {
+  service: 'REQ',
+  support: 'SUP'
+};
+
+// Calendar day (YYYYMMDD) in the business timezone, so IDs roll over at local midnight
+const dayKey = (date) => businessDay(date).replace(/-/g, '');
+
+// Service request lifecycle: new → contacted → scheduled → completed / cancelled
+const STATUS_TRANSITIONS = {
+  new: ['contacted', 'scheduled', 'cancelled'],
+  contacted: ['scheduled', 'cancelled'],
+  scheduled: ['scheduled', 'completed', 'cancelled'], // scheduled → scheduled reschedules
+  completed: [],
+  cancelled: []
+};
+
+const SUBMISSION_STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+const formatRequestId = (prefix, day, seq) => `${prefix}-${day}-${String(seq).padStart(3, '0')}`;
+
+// Convert a database row into the shape used by routes and templates
+const toSubmission = (row) => row && {
+  id: row.id,
+  requestId: row.request_id,
+  siteId: row.site_id,
+  type: row.type,
+  status: row.status,
+  name: row.name,
+  email: row.email,
+  phone: row.phone,
+  address: row.address,
+  zipCode: row.zip_code,
+  serviceType: row.service_type,
+  urgency: row.urgency,
+  subject: row.subject,
+  message: row.message,
+  data: JSON.parse(row.data),
+  scheduledFor: row.scheduled_for,
+  calendarSequence: row.calendar_sequence,
+  quarantine: row.quarantine_status ? {
+    status: row.quarantine_status,
+    score: row.spam_score,
+    reasons: JSON.parse(row.spam_reasons || '[]'),
+    reviewedBy: row.quarantine_reviewed_by,
+    reviewedAt: row.quarantine_reviewed_at
+  } : null,
+  escalation: row.escalate_at ? {
+    dueAt: row.escalate_at,
+    to: JSON.parse(row.escalation_recipients),
+    sentAt: row.escalated_at
+  } : null,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+};
+
+// Store a submission and allocate its request ID in the same transaction
+const createSubmission = ({ siteId = null, type, name, email, phone, address, zipCode, serviceType, urgency, subject, message, data = {} }) => {
+  const db = getDb();
+  const prefix = REQUEST_ID_PREFIXES[type];
+  if (!prefix) {
+    throw new Error(`Unknown submission type: ${type}`);
+  }
+
+  return db.transaction(() => {
+    const now = new Date();
+    const day = dayKey(now);
+    const { seq } = db.prepare(`
+      INSERT INTO request_counters (day, prefix, seq) VALUES (?, ?, 1)
+      ON CONFLICT (day, prefix) DO UPDATE SET seq = seq + 1
+      RETURNING seq
+    `).get(day, prefix);
+
+    const requestId = formatRequestId(prefix, day, seq);
+    const timestamp = now.toISOString();
+
+    const { lastInsertRowid } = db.prepare(`
+      INSERT INTO submissions (request_id, site_id, type, name, email, phone, address, zip_code, service_type, urgency, subject, message, data, created_at, updated_at)
+      VALUES (@requestId, @siteId, @type, @name, @email, @phone, @address, @zipCode, @serviceType, @urgency, @subject, @message, @data, @timestamp, @timestamp)
+    `).run({
+      requestId,
+      siteId,
+      type,
+      name,
+      email,
+      phone: phone || null,
+      address: address || null,
+      zipCode: zipCode || null,
+      serviceType: serviceType || null,
+      urgency: urgency || null,
+      subject: subject || null,
+      message: message || null,
+      data: JSON.stringify(data),
+      timestamp
+    });
+
+    db.prepare(`
+      INSERT INTO status_history (submission_id, from_status, to_status, actor, created_at)
+      VALUES (?, NULL, 'new', 'customer', ?)
+    `).run(lastInsertRowid, timestamp);
+
+    return toSubmission(db.prepare('SELECT * FROM submissions WHERE id = ?').get(lastInsertRowid));
+  })();
+};
+
+// Move a service request to a new status and record who did it
+const transitionStatus = (requestId, { status, actor, note, scheduledFor }) => {
+  const db = getDb();
+
+  return db.transaction(() => {
+    const current = getSubmission(requestId);
+    if (!current) {
+      const error = new Error('Request not found');
+      error.status = 404;
+      throw error;
+    }
+
+    if (current.type !== 'service') {
+      const error = new Error('Only service requests have a status workflow');
+      error.status = 409;
+      throw error;
+    }
+
+    if (!STATUS_TRANSITIONS[current.status].includes(status)) {
+      const error = new Error(`Cannot change status from ${current.status} to ${status}`);
+      error.status = 409;
+      throw error;
+    }
+
+    if (status === 'scheduled' && !scheduledFor) {
+      const error = new Error('scheduledFor is required when scheduling');
+      error.status = 400;
+      throw error;
+    }
+
+    const timestamp = new Date().toISOString();
+    const nextScheduledFor = status === 'scheduled' ? new Date(scheduledFor).toISOString() : current.scheduledFor;
+
+    db.prepare(`
+      UPDATE submissions SET status = ?, scheduled_for = ?, updated_at = ? WHERE id = ?
+    `).run(status, nextScheduledFor, timestamp, current.id);
+
+    // A cancelled request no longer holds its booked slot or deal redemption
+    if (status === 'cancelled') {
+      releaseSlot(current.id);
+      releaseRedemption(current.id);
+    }
+
+    db.prepare(`
+      INSERT INTO status_history (submission_id, from_status, to_status, actor, note, scheduled_for, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(current.id, current.status, status, actor, note || null, status === 'scheduled' ? nextScheduledFor : null, timestamp);
+
+    return {
+      submission: getSubmission(requestId),
+      previousStatus: current.status
+    };
+  })();
+};
+
+// SEQUENCE for the next calendar invite of a submission (0 for the first one)
+const nextCalendarSequence = (submissionId) => getDb().prepare(`
+  UPDATE submissions SET calendar_sequence = COALESCE(calendar_sequence, -1) + 1
+  WHERE id = ?
+  RETURNING calendar_sequence
+`).get(submissionId).calendar_sequence;
+
+const getStatusHistory = (submissionId) => getDb().prepare(`
+  SELECT from_status, to_status, actor, note, scheduled_for, created_at
+  FROM status_history WHERE submission_id = ? ORDER BY id
+`).all(submissionId).map(row => ({
+  fromStatus: row.from_status,
+  toStatus: row.to_status,
+  actor: row.actor,
+  note: row.note,
+  scheduledFor: row.scheduled_for,
+  createdAt: row.created_at
+}));
+
+const getSubmission = (requestId) => toSubmission(
+  getDb().prepare('SELECT * FROM submissions WHERE request_id = ?').get(requestId)
+);
+
+// Date-only bounds are business days (midnight to midnight in Maine); the end of the range is exclusive
+const isDay = value => /^\d{4}-\d{2}-\d{2}$/.test(value);
+const toRangeStart = (value) => (isDay(value) ? businessTimeToDate(value, 0) : new Date(value)).toISOString();
+const toRangeEnd = (value) => (isDay(value) ? businessTimeToDate(addDays(value, 1), 0) : new Date(value)).toISOString();
+
+// The search text matched literally: % and _ are not wildcards
+const escapeLike = value => value.replace(/[\\%_]/g, '\\$&');
+
+// Filter and page through submissions, newest first; quarantined (held or discarded) ones
+// are only listed when asked for with quarantine=held|discarded|released
+const listSubmissions = ({ from, to, site, type, serviceType, urgency, zipCode, status, q, quarantine, page = 1, pageSize = 25 } = {}) => {
+  const conditions = [];
+  const params = {};
+
+  if (quarantine) {
+    conditions.push('quarantine_status = @quarantine');
+    params.quarantine = quarantine;
+  } else {
+    conditions.push(`(quarantine_status IS NULL OR quarantine_status = 'released')`);
+  }
+
+  if (from) {
+    conditions.push('created_at >= @from');
+    params.from = toRangeStart(from);
+  }
+  if (to) {
+    conditions.push('created_at < @to');
+    params.to = toRangeEnd(to);
+  }
+  if (site) {
+    conditions.push('site_id = @site');
+    params.site = site;
+  }
+  if (type) {
+    conditions.push('type = @type');
+    params.type = type;
+  }
+  if (serviceType) {
+    conditions.push('service_type = @serviceType COLLATE NOCASE');
+    params.serviceType = serviceType;
+  }
+  if (urgency) {
+    conditions.push('urgency = @urgency');
+    params.urgency = urgency;
+  }
+  if (zipCode) {
+    conditions.push('zip_code LIKE @zipCode');
+    params.zipCode = `${zipCode}%`;
+  }
+  if (status) {
+    conditions.push('status = @status');
+    params.status = status;
+  }
+  if (q) {
+    const columns = ['request_id', 'name', 'email', 'phone', 'address', 'subject', 'message'];
+    conditions.push(`(${columns.map(column => `${column} LIKE @q ESCAPE '\\'`).join(' OR ')})`);
+    params.q = `%${escapeLike(q)}%`;
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const db = getDb();
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM submissions ${where}`).get(params);
+  const rows = db.prepare(`
+    SELECT * FROM submissions ${where}
+    ORDER BY created_at DESC, id DESC
+    LIMIT @limit OFFSET @offset
+  `).all({ ...params, limit: pageSize, offset: (page - 1) * pageSize });
+
+  return {
+    data: rows.map(toSubmission),
+    pagination: {
+      page,
+      pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize)
+    }
+  };
+};
+
+module.exports = {
+  BUSINESS_TIMEZONE,
+  SUBMISSION_STATUSES,
+  createSubmission,
+  getStatusHistory,
+  getSubmission,
+  listSubmissions,
+  nextCalendarSequence,
+  toSubmission,
+  transitionStatus
+};
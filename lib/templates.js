@@ -0,0 +1,359 @@
+// File-based email templates: shared branded layout, partials, and CSS inlined at render time
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+const juice = require('juice');
+const { convert } = require('html-to-text');
+const { unescape } = require('validator');
+const { formatDiscount } = require('./deals');
+const { DEFAULT_LOCALE, formatDateTime, formatDay, translate } = require('./i18n');
+const { brandText, getBrand } = require('./brand');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates');
+
+// Re-read templates on every render while developing; compile once otherwise
+const cacheEnabled = process.env.NODE_ENV !== 'development';
+
+let engine = null;
+
+const readTemplate = (...segments) => fs.readFileSync(path.join(TEMPLATE_DIR, ...segments), 'utf8');
+
+const loadEngine = () => {
+  if (engine && cacheEnabled) return engine;
+
+  const handlebars = Handlebars.create();
+  fs.readdirSync(path.join(TEMPLATE_DIR, 'partials'))
+    .filter(file => file.endsWith('.hbs'))
+    .forEach((file) => {
+      handlebars.registerPartial(path.basename(file, '.hbs'), readTemplate('partials', file));
+    });
+  // {{t "common.greeting" name=name}}: copy in the email's locale, with {brandName} and {region} filled in
+  handlebars.registerHelper('t', (key, options) => {
+    const { brand, locale = DEFAULT_LOCALE } = options.data.root;
+    return copyHtml(locale, key, { ...brandValues(brand, locale), ...options.hash });
+  });
+
+  engine = {
+    handlebars,
+    layout: handlebars.compile(readTemplate('layouts', 'main.hbs')),
+    styles: handlebars.compile(readTemplate('styles', 'email.css')),
+    emails: {}
+  };
+  return engine;
+};
+
+const compileEmail = (name) => {
+  const { handlebars, emails } = loadEngine();
+  if (!emails[name]) {
+    emails[name] = handlebars.compile(readTemplate('emails', `${name}.hbs`));
+  }
+  return emails[name];
+};
+
+// Plain-text rendering: layout tables flatten to blocks, data tables keep their label/value columns
+const TEXT_OPTIONS = {
+  wordwrap: 78,
+  selectors: [
+    { selector: 'table.wrapper', format: 'block' },
+    { selector: 'table.container', format: 'block' },
+    { selector: 'table.details', format: 'block' },
+    { selector: 'table.data-table', format: 'dataTable', options: { colSpacing: 3, uppercaseHeaderCells: false } },
+    { selector: 'table.details-table', format: 'dataTable', options: { colSpacing: 3, uppercaseHeaderCells: false } },
+    { selector: 'h2', options: { uppercase: false } },
+    { selector: 'h3', options: { uppercase: false } },
+    { selector: 'a', options: { hideLinkHrefIfSameAsText: true } }
+  ]
+};
+
+const toPlainText = (html) => convert(html, TEXT_OPTIONS);
+
+// Catalog copy may carry markup, so it is rendered as is; the values filled into it are escaped
+const copyHtml = (locale, key, values = {}) => new Handlebars.SafeString(translate(
+  locale,
+  key,
+  Object.fromEntries(Object.entries(values).map(([name, value]) => [name, Handlebars.escapeExpression(value)]))
+));
+
+// Form values reach us HTML-escaped by express-validator; decode them so Handlebars escapes every
+// value exactly once. Pre-rendered copy (SafeString) is left alone.
+const decodeValues = (value) => {
+  if (typeof value === 'string') return unescape(value);
+  if (Array.isArray(value)) return value.map(decodeValues);
+  if (value && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, decodeValues(child)]));
+  }
+  return value;
+};
+
+// Render templates/emails/<name>.hbs inside the layout; returns inlined HTML and its generated text alternative.
+// data.locale picks the copy for {{t}} (English by default) and data.brand the name, contact details and
+// colours (config/brand.json by default).
+const renderEmail = (name, { layout, brand = getBrand(), ...data }) => {
+  const { layout: renderLayout, styles } = loadEngine();
+  const html = renderLayout({
+    ...decodeValues(layout),
+    brand,
+    lang: data.locale || DEFAULT_LOCALE,
+    styles: styles({ colors: brand.colors }),
+    year: new Date().getFullYear(),
+    body: compileEmail(name)({ ...decodeValues(data), brand })
+  });
+
+  return {
+    html: juice(html, { preserveMediaQueries: true, removeStyleTags: true }),
+    text: toPlainText(html)
+  };
+};
+
+const URGENCY_CLASSES = {
+  Urgent: 'urgent',
+  High: 'high',
+  Medium: 'medium'
+};
+
+// Placeholders every catalog message can use
+const brandValues = (brand, locale) => ({
+  brandName: brand.name,
+  region: brandText(brand, 'serviceRegion', locale)
+});
+
+const companyServiceFooter = brand => [
+  `${brand.name} - Internal Service Management`,
+  'This email was sent to the Service Management Team'
+];
+
+const companySupportFooter = brand => [
+  `${brand.name} - Internal Support System`,
+  'This email was sent to the Customer Support Team'
+];
+
+const customerFooter = (brand, locale) => [
+  brandText(brand, 'tagline', locale),
+  translate(locale, 'common.footerArea', brandValues(brand, locale))
+];
+
+// "Inner Greater Portland (travel fee $25)"
+const formatZone = (zone) => {
+  if (!zone) return 'Not assigned';
+  return zone.travelFee ? `${zone.name} (travel fee $${zone.travelFee})` : zone.name;
+};
+
+// Professional email template for company (service requests)
+const createCompanyEmailTemplate = ({ requestId, submittedAt, name, email, phone, address, serviceType, urgency, message, preferredDate, preferredTime, slotBooked, zone, deal, attachments = [], brand = getBrand() }) => renderEmail('company-service', {
+  brand,
+  layout: {
+    title: 'New Service Request',
+    heading: 'NEW SERVICE REQUEST',
+    subheading: 'Client Service Notification',
+    wide: true,
+    footerLines: companyServiceFooter(brand)
+  },
+  requestId,
+  submittedAt: formatDateTime(submittedAt || Date.now()),
+  name,
+  message,
+  urgencyClass: URGENCY_CLASSES[urgency] || 'low',
+  urgencyLabel: urgency || 'Standard',
+  serviceTypeLabel: serviceType || 'General Service',
+  preferredDateSummary: preferredDate || 'Flexible date',
+  preferredTimeSummary: preferredTime || 'Flexible time',
+  zoneSummary: formatZone(zone),
+  clientRows: [
+    { label: 'Full Name', value: name },
+    { label: 'Phone Number', value: phone },
+    { label: 'Email Address', value: email },
+    { label: 'Service Address', value: address }
+  ],
+  serviceRows: [
+    { label: 'Service Type', value: serviceType || 'General Service' },
+    { label: 'Urgency Level', value: urgency || 'Standard' },
+    { label: 'Service Zone', value: formatZone(zone) },
+    { label: 'Preferred Date', value: preferredDate || 'Not specified' },
+    { label: 'Preferred Time', value: preferredTime || 'Not specified' },
+    { label: 'Time Slot', value: slotBooked ? 'Reserved online' : 'Not reserved (preference only)' },
+    { label: 'Promotional Deal', value: deal ? `${deal.code}: ${deal.title} (${formatDiscount(deal)})` : 'Not claimed' }
+  ],
+  attachmentRows: attachments.map(({ filename, contentType, size }) => ({
+    label: filename,
+    value: `${contentType}, ${Math.max(1, Math.round(size / 1024))} KB`
+  }))
+});
+
+// Professional email template for company (support requests)
+const createCompanySupportTemplate = ({ requestId, submittedAt, name, email, phone, message, subject, brand = getBrand() }) => renderEmail('company-support', {
+  brand,
+  layout: {
+    title: 'New Support Request',
+    heading: 'NEW SUPPORT REQUEST',
+    subheading: 'Customer Support Notification',
+    wide: true,
+    footerLines: companySupportFooter(brand)
+  },
+  name,
+  message,
+  subjectLabel: subject || 'General Support',
+  contactRows: [
+    { label: 'Request ID', value: requestId },
+    { label: 'Full Name', value: name },
+    { label: 'Email Address', value: email },
+    { label: 'Phone Number', value: phone || 'Not provided' },
+    { label: 'Submitted', value: formatDateTime(submittedAt || Date.now()) }
+  ]
+});
+
+// "30 minutes" / "2 hours"
+const formatWait = minutes => (minutes % 60 === 0 && minutes >= 60
+  ? `${minutes / 60} hour${minutes === 60 ? '' : 's'}`
+  : `${minutes} minute${minutes === 1 ? '' : 's'}`);
+
+// Alert to the escalation list when a service request is still new after the routing rule's delay
+const createEscalationEmail = ({ requestId, submittedAt, name, email, phone, address, serviceType, urgency, waitingMinutes, brand = getBrand() }) => renderEmail('escalation', {
+  brand,
+  layout: {
+    title: 'Escalated Service Request',
+    heading: 'ESCALATED SERVICE REQUEST',
+    subheading: 'Not Yet Picked Up',
+    wide: true,
+    footerLines: companyServiceFooter(brand)
+  },
+  requestId,
+  name,
+  submittedAt: formatDateTime(submittedAt || Date.now()),
+  waitingSummary: formatWait(waitingMinutes),
+  requestRows: [
+    { label: 'Full Name', value: name },
+    { label: 'Phone Number', value: phone || 'Not provided' },
+    { label: 'Email Address', value: email },
+    { label: 'Service Address', value: address },
+    { label: 'Service Type', value: serviceType || 'General Service' },
+    { label: 'Urgency Level', value: urgency || 'Standard' }
+  ]
+});
+
+// Service request confirmation for the client
+const createConfirmationEmail = ({ requestId, name, serviceType, phone, preferredDate, preferredTime, submissionTime, calendarAttached, travelFee, deal, locale = DEFAULT_LOCALE, brand = getBrand() }) => {
+  const t = key => translate(locale, key, brandValues(brand, locale));
+  return renderEmail('service-confirmation', {
+    layout: {
+      title: t('serviceConfirmation.title'),
+      heading: brand.name.toUpperCase(),
+      subheading: t('serviceConfirmation.title'),
+      footerLines: customerFooter(brand, locale)
+    },
+    brand,
+    locale,
+    name,
+    calendarAttached,
+    detailRows: [
+      { label: t('common.requestId'), value: requestId },
+      { label: t('common.serviceType'), value: serviceType || t('common.generalService') },
+      { label: t('common.contactPhone'), value: phone || t('common.notProvided') },
+      { label: t('serviceConfirmation.preferredDate'), value: formatDay(preferredDate, locale) || t('serviceConfirmation.flexible') },
+      { label: t('serviceConfirmation.preferredTime'), value: preferredTime || t('serviceConfirmation.flexible') },
+      ...(travelFee ? [{ label: t('serviceConfirmation.travelFee'), value: `$${travelFee}` }] : []),
+      ...(deal ? [{ label: t('serviceConfirmation.promotion'), value: `${deal.title} (${deal.code})` }] : []),
+      { label: t('common.submitted'), value: formatDateTime(submissionTime || Date.now(), locale) }
+    ]
+  });
+};
+
+// Reply to service requests from outside the service area
+const createOutOfAreaEmail = ({ requestId, name, serviceType, zipCode, submissionTime, locale = DEFAULT_LOCALE, brand = getBrand() }) => {
+  const t = key => translate(locale, key, brandValues(brand, locale));
+  return renderEmail('out-of-area', {
+    layout: {
+      title: t('outOfArea.title'),
+      heading: brand.name.toUpperCase(),
+      subheading: t('outOfArea.subheading'),
+      footerLines: customerFooter(brand, locale)
+    },
+    brand,
+    locale,
+    name,
+    zipCode,
+    detailRows: [
+      { label: t('common.requestId'), value: requestId },
+      { label: t('common.serviceType'), value: serviceType || t('common.generalService') },
+      { label: t('outOfArea.zipCode'), value: zipCode },
+      { label: t('common.submitted'), value: formatDateTime(submissionTime || Date.now(), locale) }
+    ]
+  });
+};
+
+// Support request confirmation for the client
+const createSupportConfirmation = ({ requestId, email, name, phone, subject, message, submissionTime, locale = DEFAULT_LOCALE, brand = getBrand() }) => {
+  const t = key => translate(locale, key, brandValues(brand, locale));
+  return renderEmail('support-confirmation', {
+    layout: {
+      title: t('supportConfirmation.title'),
+      heading: brand.name.toUpperCase(),
+      subheading: t('supportConfirmation.title'),
+      footerLines: customerFooter(brand, locale)
+    },
+    brand,
+    locale,
+    name,
+    message,
+    detailRows: [
+      { label: t('common.requestId'), value: requestId },
+      { label: t('supportConfirmation.subjectLabel'), value: subject || t('supportConfirmation.generalSupport') },
+      { label: t('common.contactEmail'), value: email },
+      { label: t('common.contactPhone'), value: phone || t('common.notProvided') },
+      { label: t('common.submitted'), value: formatDateTime(submissionTime || Date.now(), locale) }
+    ]
+  });
+};
+
+// Statuses that send the customer an email; their copy is under statusUpdate.<status> in the catalogs
+const NOTIFIED_STATUSES = ['scheduled', 'completed', 'cancelled'];
+
+const statusEmailSubject = (status, { rescheduled = false, locale = DEFAULT_LOCALE } = {}) => translate(
+  locale,
+  rescheduled ? 'statusUpdate.rescheduledSubject' : `statusUpdate.${status}.subject`
+);
+
+// Customer copy for service request status changes
+const createStatusUpdateEmail = ({ requestId, name, serviceType, status, scheduledFor, customerMessage, locale = DEFAULT_LOCALE, brand = getBrand() }) => {
+  const t = (key, values) => translate(locale, key, { ...brandValues(brand, locale), ...values });
+  const when = scheduledFor
+    ? formatDateTime(scheduledFor, locale, { dateStyle: 'full', timeStyle: 'short' })
+    : t('statusUpdate.whenUnknown');
+
+  return renderEmail('status-update', {
+    layout: {
+      title: t(`statusUpdate.${status}.title`),
+      heading: brand.name.toUpperCase(),
+      subheading: t(`statusUpdate.${status}.title`),
+      footerLines: customerFooter(brand, locale)
+    },
+    brand,
+    locale,
+    name,
+    status,
+    copy: {
+      heading: t(`statusUpdate.${status}.heading`),
+      badge: t(`statusUpdate.${status}.badge`),
+      nextSteps: copyHtml(locale, `statusUpdate.${status}.nextSteps`, brandValues(brand, locale))
+    },
+    intro: copyHtml(locale, `statusUpdate.${status}.intro`, { ...brandValues(brand, locale), when }),
+    detailRows: [
+      { label: t('common.requestId'), value: requestId },
+      { label: t('common.serviceType'), value: serviceType || t('common.generalService') },
+      ...(status === 'scheduled' ? [{ label: t('statusUpdate.appointment'), value: when }] : []),
+      ...(customerMessage ? [{ label: t('statusUpdate.message'), value: customerMessage }] : [])
+    ]
+  });
+};
+
+module.exports = {
+  NOTIFIED_STATUSES,
+  createCompanyEmailTemplate,
+  createCompanySupportTemplate,
+  createConfirmationEmail,
+  createEscalationEmail,
+  createOutOfAreaEmail,
+  createStatusUpdateEmail,
+  createSupportConfirmation,
+  renderEmail,
+  statusEmailSubject
+};
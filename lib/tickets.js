@@ -0,0 +1,106 @@
+// Ticket tokens on outgoing email and the conversation history of customer replies
+const { normalizeEmail } = require('validator');
+const { getDb } = require('./db');
+const { logger } = require('./logger');
+const { getSubmission } = require('./submissions');
+
+const TICKET_HEADER = 'X-MDB-Ticket';
+const TICKET_PATTERN = /\b((?:REQ|SUP)-\d{8}-\d{3,})\b/;
+
+// "Support Request Received" → "Support Request Received [SUP-20250114-001]"
+const withTicketToken = (subject, requestId) => `${subject} [${requestId}]`;
+
+const ticketHeaders = (requestId) => ({ [TICKET_HEADER]: requestId });
+
+// Find the request ID in the subject first, then our header, then the reply chain
+const findTicketId = ({ subject, headers }) => {
+  const candidates = [
+    subject,
+    headers.get(TICKET_HEADER.toLowerCase()),
+    headers.get('in-reply-to'),
+    [].concat(headers.get('references') || []).join(' ')
+  ];
+
+  for (const candidate of candidates) {
+    const match = typeof candidate === 'string' && candidate.match(TICKET_PATTERN);
+    if (match) return match[1];
+  }
+  return null;
+};
+
+// Drop the quoted original that mail clients append below a reply
+const stripQuotedReply = (text = '') => {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const cutAt = lines.findIndex((line, index) =>
+    /^On .+wrote:\s*$/.test(line.trim()) ||
+    /^-{2,}\s*Original Message\s*-{2,}/i.test(line.trim()) ||
+    (/^From: /.test(line.trim()) && /^Sent: /.test((lines[index + 1] || '').trim())) // Outlook
+  );
+  const reply = cutAt === -1 ? lines : lines.slice(0, cutAt);
+  return reply.filter(line => !line.startsWith('>')).join('\n').trim();
+};
+
+// Attach a parsed reply (mailparser output) to its ticket; returns the request ID, or null when unmatched
+// or not from the customer
+const attachReply = (parsed, { source }) => {
+  const requestId = findTicketId(parsed);
+  if (!requestId) return null;
+
+  const submission = getSubmission(requestId);
+  if (!submission) return null;
+
+  // Only the customer who made the request can add to it; anyone else quoting its ID is left for staff.
+  // The form stored the address through normalizeEmail (Gmail dots and +tags dropped), so the sender is
+  // compared the same way.
+  const fromAddress = parsed.from && parsed.from.value[0] ? parsed.from.value[0].address : 'unknown';
+  if ((normalizeEmail(fromAddress) || fromAddress.toLowerCase()) !== submission.email.toLowerCase()) {
+    logger.warn(`Reply to ${requestId} not attached: the sender is not the customer`, { from: fromAddress, source });
+    return null;
+  }
+
+  const messageId = parsed.messageId || `${source}-${requestId}-${(parsed.date || new Date()).getTime()}`;
+  const now = new Date().toISOString();
+
+  getDb().transaction(() => {
+    const { changes } = getDb().prepare(`
+      INSERT OR IGNORE INTO ticket_messages (submission_id, message_id, from_address, subject, body_text, source, received_at, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      submission.id,
+      messageId,
+      fromAddress.toLowerCase(),
+      parsed.subject || null,
+      stripQuotedReply(parsed.text),
+      source,
+      (parsed.date || new Date()).toISOString(),
+      now
+    );
+
+    if (changes > 0) {
+      getDb().prepare('UPDATE submissions SET updated_at = ? WHERE id = ?').run(now, submission.id);
+    }
+  })();
+
+  return requestId;
+};
+
+const getConversation = (submissionId) => getDb().prepare(`
+  SELECT message_id, from_address, subject, body_text, source, received_at
+  FROM ticket_messages WHERE submission_id = ? ORDER BY received_at, id
+`).all(submissionId).map(row => ({
+  messageId: row.message_id,
+  from: row.from_address,
+  subject: row.subject,
+  text: row.body_text,
+  source: row.source,
+  receivedAt: row.received_at
+}));
+
+module.exports = {
+  attachReply,
+  findTicketId,
+  getConversation,
+  stripQuotedReply,
+  ticketHeaders,
+  withTicketToken
+};
@@ -0,0 +1,60 @@
+// Business timezone helpers: request IDs, appointment slots and invites all follow Maine local time
+const BUSINESS_TIMEZONE = 'America/New_York';
+
+const localParts = (date) => new Intl.DateTimeFormat('en-US', {
+  timeZone: BUSINESS_TIMEZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+}).formatToParts(date).reduce((acc, part) => ({ ...acc, [part.type]: Number(part.value) }), {});
+
+// Offset (ms) between UTC and the business timezone at a given instant
+const timezoneOffset = (date) => {
+  const parts = localParts(date);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - date.getTime();
+};
+
+// "2025-01-16" at 14:30 business time → Date
+const businessTimeToDate = (day, hours, minutes = 0) => {
+  const [year, month, date] = day.split('-').map(Number);
+  const guess = new Date(Date.UTC(year, month - 1, date, hours, minutes));
+  return new Date(guess.getTime() - timezoneOffset(guess));
+};
+
+// Calendar day (YYYY-MM-DD) in the business timezone
+const businessDay = (date = new Date()) => {
+  const { year, month, day } = localParts(date);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// Wall-clock time (HH:MM, 24-hour) in the business timezone
+const businessTimeOfDay = (date = new Date()) => {
+  const { hour, minute } = localParts(date);
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+// "2025-01-16" + n days (plain calendar arithmetic, no timezone involved)
+const addDays = (day, count) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, date + count)).toISOString().slice(0, 10);
+};
+
+// 0 (Sunday) – 6 (Saturday) for a YYYY-MM-DD day
+const weekday = (day) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, date)).getUTCDay();
+};
+
+module.exports = {
+  BUSINESS_TIMEZONE,
+  addDays,
+  businessDay,
+  businessTimeOfDay,
+  businessTimeToDate,
+  weekday
+};
@@ -0,0 +1,38 @@
+// Local file transport: writes each message as an .eml file for inspection
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { getBrand } = require('../brand');
+
+const requiredEnv = [];
+
+const create = () => {
+  const outputDir = path.resolve(process.env.MAIL_FILE_DIR || 'mail-output');
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  // Stream transport renders the full MIME message without delivering it
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  const send = async ({ from, to, cc, bcc, subject, html, text, headers, attachments }) => {
+    const info = await transporter.sendMail({
+      from: from || { name: getBrand().name, address: process.env.SUPPORT_ACCOUNT },
+      to,
+      cc,
+      bcc,
+      subject,
+      html,
+      text,
+      headers,
+      attachments
+    });
+
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${info.messageId.replace(/[<>@]/g, '')}.eml`;
+    await fs.promises.writeFile(path.join(outputDir, fileName), info.message);
+
+    return { messageId: info.messageId };
+  };
+
+  return { name: 'file', send };
+};
+
+module.exports = { requiredEnv, create };
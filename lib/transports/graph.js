@@ -0,0 +1,103 @@
+// Azure Microsoft Graph transport (sends as the message's from address, SUPPORT_ACCOUNT by default)
+const { ConfidentialClientApplication } = require("@azure/msal-node");
+const { Client } = require("@microsoft/microsoft-graph-client");
+require("isomorphic-fetch");
+const { withTimeout, createCircuitBreaker } = require('../resilience');
+const { getBrand } = require('../brand');
+const { buildMimeMessage } = require('./mime');
+
+const requiredEnv = ['AZURE_CLIENT_ID', 'AZURE_TENANT_ID', 'AZURE_CLIENT_SECRET', 'SUPPORT_ACCOUNT'];
+
+const GRAPH_SCOPES = ["https://graph.microsoft.com/.default"];
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000; // refresh 5 minutes before expiry
+
+let graphClient = null;
+
+// One long-lived Graph client whose auth provider reuses the token until it is close to expiring
+const getGraphClient = () => {
+  if (graphClient) return graphClient;
+
+  const cca = new ConfidentialClientApplication({
+    auth: {
+      clientId: process.env.AZURE_CLIENT_ID,
+      authority: `https://login.microsoftonline.com/${process.env.AZURE_TENANT_ID}`,
+      clientSecret: process.env.AZURE_CLIENT_SECRET,
+    },
+  });
+
+  let cachedToken = null;
+  let pendingToken = null;
+
+  const getAccessToken = async () => {
+    if (cachedToken && cachedToken.expiresOn.getTime() - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+      return cachedToken.accessToken;
+    }
+
+    // Concurrent sends share a single refresh
+    if (!pendingToken) {
+      pendingToken = cca.acquireTokenByClientCredential({ scopes: GRAPH_SCOPES })
+        .then((authResponse) => {
+          cachedToken = {
+            accessToken: authResponse.accessToken,
+            expiresOn: authResponse.expiresOn || new Date(Date.now() + TOKEN_REFRESH_MARGIN_MS)
+          };
+          return cachedToken.accessToken;
+        })
+        .finally(() => {
+          pendingToken = null;
+        });
+    }
+
+    return pendingToken;
+  };
+
+  graphClient = Client.initWithMiddleware({ authProvider: { getAccessToken } });
+  return graphClient;
+};
+
+const create = () => {
+  const client = getGraphClient();
+  const timeoutMs = parseInt(process.env.GRAPH_TIMEOUT_MS, 10) || 15 * 1000;
+  const breaker = createCircuitBreaker({
+    name: 'graph-sendMail',
+    failureThreshold: parseInt(process.env.GRAPH_CIRCUIT_FAILURE_THRESHOLD, 10) || 5,
+    resetTimeoutMs: parseInt(process.env.GRAPH_CIRCUIT_RESET_MS, 10) || 60 * 1000
+  });
+
+  const send = async ({ from, to, cc, bcc, subject, html, text, headers, attachments }) => {
+    // The site's support mailbox; the app registration needs Mail.Send for each one
+    const sender = from || { name: getBrand().name, address: process.env.SUPPORT_ACCOUNT };
+
+    // Graph's JSON message has a single body, so send MIME to keep the plain-text alternative
+    const { message, messageId } = await buildMimeMessage({
+      from: sender,
+      to,
+      cc,
+      bcc,
+      subject,
+      html,
+      text,
+      headers,
+      attachments
+    });
+
+    // A slow or failing Azure must not tie up the outbox worker
+    await breaker.exec(() => {
+      const controller = new AbortController();
+      return withTimeout(
+        client.api(`/users/${sender.address}/sendMail`)
+          .header('Content-Type', 'text/plain')
+          .options({ signal: controller.signal })
+          .post(message.toString('base64')),
+        timeoutMs,
+        { message: `Graph sendMail timed out after ${timeoutMs}ms`, onTimeout: () => controller.abort() }
+      );
+    });
+
+    return { messageId };
+  };
+
+  return { name: 'graph', send };
+};
+
+module.exports = { requiredEnv, create, getGraphClient };
@@ -0,0 +1,55 @@
+// Mail transport registry: picks Graph, SMTP, file or console delivery from configuration
+const graph = require('./graph');
+const smtp = require('./smtp');
+const file = require('./file');
+const consoleTransport = require('./console');
+const { logger } = require('../logger');
+
+const transports = {
+  graph,
+  smtp,
+  file,
+  console: consoleTransport
+};
+
+// Build a single transport, failing fast when its own environment is incomplete
+const createTransport = (name) => {
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}". Expected one of: ${Object.keys(transports).join(', ')}`);
+  }
+
+  const missing = transport.requiredEnv.filter(env => !process.env[env]);
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables for ${name} transport: ${missing.join(', ')}`);
+  }
+
+  return transport.create();
+};
+
+// Build the configured transport (MAIL_TRANSPORT) with an optional fallback (MAIL_FALLBACK_TRANSPORT)
+const createMailTransport = () => {
+  const primary = createTransport(process.env.MAIL_TRANSPORT || 'graph');
+  const fallback = process.env.MAIL_FALLBACK_TRANSPORT
+    ? createTransport(process.env.MAIL_FALLBACK_TRANSPORT)
+    : null;
+
+  if (!fallback) {
+    return primary;
+  }
+
+  const send = async (message) => {
+    try {
+      return { ...(await primary.send(message)), transport: primary.name };
+    } catch (error) {
+      logger.warn(`Mail transport ${primary.name} failed, falling back to ${fallback.name}`, {
+        error: error.message
+      });
+      return { ...(await fallback.send(message)), transport: fallback.name };
+    }
+  };
+
+  return { name: `${primary.name}+${fallback.name}`, send };
+};
+
+module.exports = { createTransport, createMailTransport };
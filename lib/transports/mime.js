@@ -0,0 +1,13 @@
+// Build a raw MIME message (multipart/alternative when both HTML and text are present, inside multipart/mixed with attachments)
+const MailComposer = require('nodemailer/lib/mail-composer');
+
+const buildMimeMessage = ({ from, to, cc, bcc, subject, html, text, headers, attachments }) => new Promise((resolve, reject) => {
+  const mail = new MailComposer({ from, to, cc, bcc, subject, html, text, headers, attachments }).compile();
+  mail.keepBcc = true;
+  mail.build((error, message) => {
+    if (error) return reject(error);
+    resolve({ message, messageId: mail.messageId() });
+  });
+});
+
+module.exports = { buildMimeMessage };
@@ -0,0 +1,43 @@
+// SMTP transport via nodemailer (company mail server)
+const nodemailer = require('nodemailer');
+const { getBrand } = require('../brand');
+
+const requiredEnv = ['SMTP_HOST', 'SMTP_USER', 'SMTP_PASS'];
+
+const create = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST, // Your domain SMTP server
+    port: process.env.SMTP_PORT || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: {
+      user: process.env.SMTP_USER, // Authenticated sending user
+      pass: process.env.SMTP_PASS
+    },
+    tls: {
+      rejectUnauthorized: process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false',
+    }
+  });
+
+  const send = async ({ from, to, cc, bcc, subject, html, text, headers = {}, attachments }) => {
+    const info = await transporter.sendMail({
+      // Always from the authenticated user; only the display name follows the site, and replies go to
+      // the site's mailbox unless the message names its own Reply-To (company emails: the customer)
+      from: { name: (from || getBrand()).name, address: process.env.SMTP_FROM || process.env.SMTP_USER },
+      ...(from && !headers['Reply-To'] && { replyTo: from.address }),
+      to,
+      cc,
+      bcc,
+      subject,
+      html,
+      text,
+      headers,
+      attachments
+    });
+
+    return { messageId: info.messageId };
+  };
+
+  return { name: 'smtp', send };
+};
+
+module.exports = { requiredEnv, create };
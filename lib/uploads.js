@@ -0,0 +1,141 @@
+// Customer photo/file uploads on service requests: size limits, content sniffing, EXIF stripping
+const path = require('path');
+const multer = require('multer');
+const sharp = require('sharp');
+
+const UPLOAD_FIELD = 'attachments';
+
+// Graph rejects sendMail requests over 4MB. The MIME message is posted base64 encoded and the attachments
+// inside it are base64 encoded again, so about 2.25MB of files (less the email itself) is all it can carry
+const config = {
+  // Uploads are held in memory, so raw files are only allowed to be as large as a phone photo that
+  // re-encoding will shrink to a few hundred KB, and only as many as fit in the total below
+  maxFiles: parseInt(process.env.UPLOAD_MAX_FILES, 10) || 3,
+  maxFileBytes: parseInt(process.env.UPLOAD_MAX_FILE_BYTES, 10) || 5 * 1024 * 1024,
+  // Applies to the re-encoded files
+  maxTotalBytes: parseInt(process.env.UPLOAD_MAX_TOTAL_BYTES, 10) || 2 * 1024 * 1024,
+  maxImageDimension: parseInt(process.env.UPLOAD_MAX_IMAGE_DIMENSION, 10) || 1600
+};
+
+// Accepted types, identified by their leading bytes rather than the client's Content-Type or file name
+const FILE_TYPES = [
+  { mimeType: 'image/jpeg', extension: 'jpg', image: 'jpeg', matches: buf => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  { mimeType: 'image/png', extension: 'png', image: 'png', matches: buf => buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/webp', extension: 'webp', image: 'webp', matches: buf => buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WEBP' },
+  { mimeType: 'application/pdf', extension: 'pdf', image: null, matches: buf => buf.toString('latin1', 0, 5) === '%PDF-' }
+];
+
+const sniffType = (buffer) => FILE_TYPES.find(type => buffer.length >= 12 && type.matches(buffer));
+
+const rejection = (message, status, details) => {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+};
+
+const multerUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    files: config.maxFiles,
+    fileSize: config.maxFileBytes,
+    fields: 30,
+    fieldSize: 10 * 1024
+  }
+}).array(UPLOAD_FIELD, config.maxFiles);
+
+const MULTER_MESSAGES = {
+  LIMIT_FILE_SIZE: `Each file must be ${Math.floor(config.maxFileBytes / 1024 / 1024)}MB or smaller`,
+  LIMIT_FILE_COUNT: `At most ${config.maxFiles} files can be attached`,
+  LIMIT_UNEXPECTED_FILE: `Files must be sent in the "${UPLOAD_FIELD}" field, at most ${config.maxFiles} of them`
+};
+
+// Parses multipart/form-data bodies into req.body and req.files; JSON requests pass straight through
+const parseUploads = (req, res, next) => {
+  if (!req.is('multipart/form-data')) return next();
+
+  multerUpload(req, res, (error) => {
+    if (!error) return next();
+    if (!(error instanceof multer.MulterError)) return next(error);
+
+    res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      success: false,
+      error: MULTER_MESSAGES[error.code] || 'Invalid file upload'
+    });
+  });
+};
+
+// Only a plain base name with a safe character set reaches the email; the extension follows the sniffed type
+const safeFileName = (originalName, extension, index) => {
+  const base = path.basename(originalName || '', path.extname(originalName || ''))
+    .replace(/[^\w.-]+/g, '_')
+    .replace(/^[._]+/, '')
+    .slice(0, 60);
+  return `${base || `attachment-${index + 1}`}.${extension}`;
+};
+
+// Re-encoding drops EXIF (GPS location, device details) and anything appended to the image data;
+// orientation is applied to the pixels first so photos are not displayed sideways
+const reencodeImage = (buffer, format) => sharp(buffer, { failOn: 'error' })
+  .rotate()
+  .resize({ width: config.maxImageDimension, height: config.maxImageDimension, fit: 'inside', withoutEnlargement: true })
+  .toFormat(format, format === 'png' ? { compressionLevel: 9 } : { quality: 80 })
+  .toBuffer();
+
+// What gets stored with the submission and listed in the company email (no file contents)
+const describeAttachments = (attachments) => attachments.map(({ filename, contentType, content }) => ({
+  filename,
+  contentType,
+  size: Buffer.byteLength(content, 'base64')
+}));
+
+// Turn uploaded files into sendMail attachments; throws with status 415 (type) or 413 (size)
+const processUploads = async (files = []) => {
+  const unsupported = files
+    .filter(file => !sniffType(file.buffer))
+    .map(file => ({ file: file.originalname, error: 'Unsupported file type' }));
+  if (unsupported.length > 0) {
+    throw rejection(`Only ${FILE_TYPES.map(type => type.extension.toUpperCase()).join(', ')} files can be attached`, 415, unsupported);
+  }
+
+  // Only images shrink when re-encoded; anything else that is already over the total can never be sent
+  const oversized = files
+    .filter(file => !sniffType(file.buffer).image && file.size > config.maxTotalBytes)
+    .map(file => ({ file: file.originalname, error: 'File too large' }));
+  if (oversized.length > 0) {
+    throw rejection(`Attachments must total ${(config.maxTotalBytes / 1024 / 1024).toFixed(1)}MB or less after processing`, 413, oversized);
+  }
+
+  const attachments = [];
+  for (const [index, file] of files.entries()) {
+    const type = sniffType(file.buffer);
+    let content = file.buffer;
+    if (type.image) {
+      try {
+        content = await reencodeImage(file.buffer, type.image);
+      } catch (error) {
+        throw rejection('Could not read an attached image', 415, [{ file: file.originalname, error: 'Corrupt or unreadable image' }]);
+      }
+    }
+
+    attachments.push({
+      filename: safeFileName(file.originalname, type.extension, index),
+      contentType: type.mimeType,
+      content: content.toString('base64'),
+      encoding: 'base64'
+    });
+  }
+
+  const totalBytes = describeAttachments(attachments).reduce((sum, attachment) => sum + attachment.size, 0);
+  if (totalBytes > config.maxTotalBytes) {
+    throw rejection(`Attachments must total ${(config.maxTotalBytes / 1024 / 1024).toFixed(1)}MB or less after processing`, 413);
+  }
+
+  return attachments;
+};
+
+module.exports = {
+  describeAttachments,
+  parseUploads,
+  processUploads
+};
@@ -0,0 +1,351 @@
+// Outbound webhooks: signed, versioned event payloads queued with each submission and delivered
+// in the background with retries, backoff and a per-attempt delivery log
+const crypto = require('crypto');
+const path = require('path');
+const { isURL, unescape } = require('validator');
+const { loadConfigFile } = require('./config');
+const { getDb } = require('./db');
+const { createDeliveryWorker } = require('./retry');
+
+const DEFAULT_WEBHOOKS_FILE = path.join(__dirname, '..', 'config', 'webhooks.json');
+
+const WEBHOOK_EVENTS = ['service_request.created', 'support_request.created', 'service_request.status_changed'];
+
+// Bumped whenever a field is removed or changes meaning; new fields do not bump it
+const PAYLOAD_VERSION = 1;
+
+// json is the signed event itself; slack and teams get a one-line summary their incoming webhooks can show
+const FORMATS = ['json', 'slack', 'teams'];
+
+const config = {
+  pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 5000,
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000, // 10 seconds
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+  baseDelayMs: parseInt(process.env.WEBHOOK_BASE_DELAY_MS, 10) || 30 * 1000, // 30 seconds
+  maxDelayMs: parseInt(process.env.WEBHOOK_MAX_DELAY_MS, 10) || 60 * 60 * 1000, // 1 hour
+  batchSize: 10
+};
+
+// Problems with the webhook list: ids, URLs, events, formats and signing secrets
+const validateWebhooks = (webhooks) => {
+  const problems = [];
+  const seenIds = new Set();
+
+  if (!Array.isArray(webhooks)) {
+    problems.push('"webhooks" must be an array');
+  }
+
+  (Array.isArray(webhooks) ? webhooks : []).forEach((webhook, index) => {
+    const label = webhook && webhook.id ? `webhook "${webhook.id}"` : `webhook #${index + 1}`;
+    if (!webhook || typeof webhook.id !== 'string' || !/^[a-z0-9-]{1,40}$/.test(webhook.id)) {
+      problems.push(`${label}: "id" must be 1-40 lowercase letters, digits or dashes`);
+    } else if (seenIds.has(webhook.id)) {
+      problems.push(`${label}: duplicate id`);
+    } else {
+      seenIds.add(webhook.id);
+    }
+
+    if (!webhook || typeof webhook.url !== 'string' || !isURL(webhook.url, { protocols: ['http', 'https'], require_protocol: true, require_tld: false })) {
+      problems.push(`${label}: "url" must be an http(s) URL`);
+    }
+
+    const events = webhook && webhook.events;
+    if (!Array.isArray(events) || events.length === 0) {
+      problems.push(`${label}: "events" must be a non-empty array`);
+    } else {
+      events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event))
+        .forEach(event => problems.push(`${label}: unknown event "${event}"`));
+    }
+
+    const format = (webhook && webhook.format) || 'json';
+    if (!FORMATS.includes(format)) {
+      problems.push(`${label}: "format" must be one of ${FORMATS.join(', ')}`);
+    }
+
+    // Receivers of the raw event must be able to verify it
+    if (webhook && webhook.secretEnv !== undefined && typeof webhook.secretEnv !== 'string') {
+      problems.push(`${label}: "secretEnv" must be the name of an environment variable`);
+    } else if (webhook && webhook.secretEnv && !process.env[webhook.secretEnv]) {
+      problems.push(`${label}: environment variable ${webhook.secretEnv} is not set`);
+    } else if (webhook && format === 'json' && !webhook.secretEnv) {
+      problems.push(`${label}: "secretEnv" is required for json webhooks`);
+    }
+  });
+
+  return problems;
+};
+
+// Form text is stored HTML-escaped for the emails; receivers get it as typed
+const plain = value => (typeof value === 'string' ? unescape(value) : (value === undefined ? null : value));
+
+// The request as it appears in payloads
+const describeRequest = (submission) => ({
+  requestId: submission.requestId,
+  site: submission.siteId,
+  type: submission.type,
+  status: submission.status,
+  name: plain(submission.name),
+  email: submission.email,
+  phone: plain(submission.phone),
+  address: plain(submission.address),
+  zipCode: submission.zipCode,
+  serviceType: plain(submission.serviceType),
+  urgency: submission.urgency,
+  subject: plain(submission.subject),
+  message: plain(submission.message),
+  preferredDate: plain(submission.data.preferredDate),
+  preferredTime: plain(submission.data.preferredTime),
+  slotId: plain(submission.data.slotId),
+  serviceZone: plain(submission.data.serviceZone),
+  dealCode: plain(submission.data.dealCode),
+  scheduledFor: submission.scheduledFor,
+  createdAt: submission.createdAt,
+  updatedAt: submission.updatedAt
+});
+
+// One line for chat channels
+const summarize = ({ type, data }) => {
+  const { request } = data;
+  if (type === 'service_request.created') {
+    const details = [request.urgency, request.address].filter(Boolean).join(', ');
+    return `New service request ${request.requestId} from ${request.name}: ${request.serviceType}${details ? ` (${details})` : ''}`;
+  }
+  if (type === 'support_request.created') {
+    return `New support request ${request.requestId} from ${request.name}${request.subject ? `: ${request.subject}` : ''}`;
+  }
+  return `${request.requestId} is now ${request.status} (was ${data.previousStatus})`;
+};
+
+// Body and headers for one attempt; the signature covers "<timestamp>.<body>" so a captured request cannot be replayed later
+const buildRequest = (webhook, payload) => {
+  const format = webhook.format || 'json';
+  const body = JSON.stringify(format === 'json' ? payload : { text: summarize(payload) });
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': `MDB-Webhooks/${PAYLOAD_VERSION}`,
+    'X-MDB-Event': payload.type,
+    'X-MDB-Event-Id': payload.id
+  };
+
+  if (webhook.secretEnv) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = crypto.createHmac('sha256', process.env[webhook.secretEnv]).update(`${timestamp}.${body}`).digest('hex');
+    headers['X-MDB-Signature'] = `t=${timestamp},v1=${signature}`;
+  }
+
+  return { body, headers };
+};
+
+// Load and validate the webhook list; returns { webhooks, publish(event, submission, options) }
+const loadWebhooks = (filePath = process.env.WEBHOOKS_FILE || DEFAULT_WEBHOOKS_FILE) => {
+  const definition = loadConfigFile(filePath, {
+    description: 'webhook configuration',
+    validate: ({ webhooks } = {}) => validateWebhooks(webhooks)
+  });
+
+  const webhooks = definition.webhooks.filter(webhook => webhook.enabled !== false);
+
+  // Queue the event for every webhook subscribed to it. Call inside the submission's transaction so the
+  // event exists exactly when the submission does; held deliveries (quarantine) wait like held emails.
+  const publish = (event, submission, { held = false, ...data } = {}) => {
+    const subscribers = webhooks.filter(webhook => webhook.events.includes('*') || webhook.events.includes(event));
+    if (subscribers.length === 0) return;
+
+    const now = new Date().toISOString();
+    const payload = {
+      id: crypto.randomUUID(),
+      type: event,
+      version: PAYLOAD_VERSION,
+      occurredAt: now,
+      data: { request: describeRequest(submission), ...data }
+    };
+
+    const insert = getDb().prepare(`
+      INSERT INTO webhook_deliveries (event_id, webhook_id, event, submission_id, payload, status, next_attempt_at, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    subscribers.forEach(webhook => insert.run(
+      payload.id, webhook.id, event, submission.id, JSON.stringify(payload), held ? 'held' : 'pending', now, now, now
+    ));
+
+    if (!held) {
+      worker.wake();
+    }
+  };
+
+  return { webhooks, publish };
+};
+
+// POST once; resolves to { responseStatus, error } where error is null on a 2xx
+const attempt = async (webhook, payload) => {
+  const { body, headers } = buildRequest(webhook, payload);
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers,
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(config.timeoutMs)
+    });
+    if (response.ok) return { responseStatus: response.status, error: null };
+
+    const detail = (await response.text().catch(() => '')).slice(0, 200);
+    return { responseStatus: response.status, error: `HTTP ${response.status}${detail ? `: ${detail}` : ''}` };
+  } catch (error) {
+    return { responseStatus: null, error: error.message };
+  }
+};
+
+// One attempt at a delivery, logged with its response; a delivery whose webhook was removed from the
+// configuration is given up on
+const deliver = async (row, registry, attempts) => {
+  const webhook = registry.webhooks.find(candidate => candidate.id === row.webhook_id);
+  const startedAt = Date.now();
+
+  const result = webhook
+    ? await attempt(webhook, JSON.parse(row.payload))
+    : { responseStatus: null, error: 'Webhook is no longer configured' };
+  const now = new Date();
+
+  getDb().prepare(`
+    INSERT INTO webhook_attempts (delivery_id, attempt, response_status, error, duration_ms, attempted_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(row.id, attempts, result.responseStatus, result.error, now.getTime() - startedAt, now.toISOString());
+
+  return { error: result.error, columns: { response_status: result.responseStatus }, giveUp: !webhook };
+};
+
+const worker = createDeliveryWorker({
+  table: 'webhook_deliveries',
+  name: 'Webhook',
+  label: 'Webhook delivery',
+  config,
+  doneStatus: 'delivered',
+  deliver,
+  deadFields: (row, lastError) => ({ webhook: row.webhook_id, event: row.event, lastError })
+});
+
+// Deliver every due event
+const processDeliveries = worker.processDue;
+
+// Start the background worker for the loaded webhooks (loadWebhooks result)
+const startWebhookWorker = webhooks => worker.start(webhooks);
+
+const stopWebhookWorker = worker.stop;
+
+// Queue a submission's held deliveries now (quarantine release)
+const releaseHeldDeliveries = worker.releaseHeld;
+
+// Drop a submission's held deliveries without sending them (kept for the record)
+const discardHeldDeliveries = worker.discardHeld;
+
+const toDelivery = (row) => ({
+  id: row.id,
+  eventId: row.event_id,
+  webhook: row.webhook_id,
+  event: row.event,
+  status: row.status,
+  attempts: row.attempts,
+  responseStatus: row.response_status,
+  lastError: row.last_error,
+  nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+// Delivery state of every event published for a submission
+const listSubmissionDeliveries = (submissionId) => getDb().prepare(`
+  SELECT * FROM webhook_deliveries WHERE submission_id = ? ORDER BY id
+`).all(submissionId).map(toDelivery);
+
+// Delivery log with filters and paging, newest first
+const listDeliveries = ({ status, webhook, event, page = 1, pageSize = 25 } = {}) => {
+  const conditions = [];
+  const params = {};
+  if (status) {
+    conditions.push('status = @status');
+    params.status = status;
+  }
+  if (webhook) {
+    conditions.push('webhook_id = @webhook');
+    params.webhook = webhook;
+  }
+  if (event) {
+    conditions.push('event = @event');
+    params.event = event;
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const db = getDb();
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM webhook_deliveries ${where}`).get(params);
+  const rows = db.prepare(`
+    SELECT * FROM webhook_deliveries ${where}
+    ORDER BY id DESC
+    LIMIT @limit OFFSET @offset
+  `).all({ ...params, limit: pageSize, offset: (page - 1) * pageSize });
+
+  return {
+    data: rows.map(toDelivery),
+    pagination: {
+      page,
+      pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize)
+    }
+  };
+};
+
+// One delivery with the payload and every attempt, or null
+const getDelivery = (id) => {
+  const row = getDb().prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id);
+  if (!row) return null;
+
+  const attempts = getDb().prepare(`
+    SELECT attempt, response_status, error, duration_ms, attempted_at FROM webhook_attempts WHERE delivery_id = ? ORDER BY id
+  `).all(id).map(attemptRow => ({
+    attempt: attemptRow.attempt,
+    responseStatus: attemptRow.response_status,
+    error: attemptRow.error,
+    durationMs: attemptRow.duration_ms,
+    attemptedAt: attemptRow.attempted_at
+  }));
+
+  return { ...toDelivery(row), payload: JSON.parse(row.payload), log: attempts };
+};
+
+// Send a dead delivery again with a fresh set of attempts (the receiver has been fixed)
+const retryDelivery = (id) => {
+  const row = getDb().prepare('SELECT status FROM webhook_deliveries WHERE id = ?').get(id);
+  if (!row) {
+    const error = new Error('Delivery not found');
+    error.status = 404;
+    throw error;
+  }
+  if (row.status !== 'dead') {
+    const error = new Error(`Only dead deliveries can be retried (this one is ${row.status})`);
+    error.status = 409;
+    throw error;
+  }
+
+  const now = new Date().toISOString();
+  getDb().prepare(`
+    UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = ? WHERE id = ?
+  `).run(now, now, id);
+
+  worker.wake();
+  return getDelivery(id);
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  discardHeldDeliveries,
+  getDelivery,
+  listDeliveries,
+  listSubmissionDeliveries,
+  loadWebhooks,
+  processDeliveries,
+  releaseHeldDeliveries,
+  retryDelivery,
+  startWebhookWorker,
+  stopWebhookWorker
+};
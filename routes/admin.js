@@ -0,0 +1,202 @@
+// Staff API for listing, searching and viewing stored submissions
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const { requireRole } = require('../lib/auth');
+const { getDb } = require('../lib/db');
+const {
+  SUBMISSION_STATUSES,
+  getStatusHistory,
+  getSubmission,
+  listSubmissions,
+  transitionStatus
+} = require('../lib/submissions');
+const { listSubmissionEmails, listSubmissionTexts } = require('../lib/outbox');
+const { discardSubmission, releaseSubmission } = require('../lib/quarantine');
+const { getConversation } = require('../lib/tickets');
+const {
+  WEBHOOK_EVENTS,
+  getDelivery,
+  listDeliveries,
+  listSubmissionDeliveries,
+  retryDelivery
+} = require('../lib/webhooks');
+
+const URGENCY_LEVELS = ['Low', 'Medium', 'High', 'Urgent'];
+
+// Reject the request with the same shape the public routes use
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid input data',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const listValidation = [
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('site').optional().trim().matches(/^[a-z0-9-]{1,40}$/),
+  query('type').optional().isIn(['service', 'support']),
+  // Escaped like the form's value, which is how it is stored
+  query('serviceType').optional().trim().isLength({ min: 1, max: 100 }).escape(),
+  query('urgency').optional().isIn(URGENCY_LEVELS),
+  query('zipCode').optional().trim().matches(/^\d{1,5}(-\d{4})?$/),
+  query('status').optional().isIn(SUBMISSION_STATUSES),
+  query('q').optional().trim().isLength({ min: 1, max: 100 }),
+  query('quarantine').optional().isIn(['held', 'released', 'discarded']),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('pageSize').optional().isInt({ min: 1, max: 100 }).toInt()
+];
+
+const requestIdValidation = [
+  param('requestId').matches(/^(REQ|SUP)-\d{8}-\d{3,}$/)
+];
+
+const deliveryListValidation = [
+  query('status').optional().isIn(['held', 'pending', 'sending', 'delivered', 'dead', 'discarded']),
+  query('webhook').optional().trim().matches(/^[a-z0-9-]{1,40}$/),
+  query('event').optional().isIn(WEBHOOK_EVENTS),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('pageSize').optional().isInt({ min: 1, max: 100 }).toInt()
+];
+
+const deliveryIdValidation = [
+  param('id').isInt({ min: 1 }).toInt()
+];
+
+const statusValidation = [
+  ...requestIdValidation,
+  body('status').isIn(SUBMISSION_STATUSES.filter(status => status !== 'new')),
+  body('scheduledFor').optional().isISO8601(),
+  body('note').optional().trim().isLength({ max: 500 }).escape(),
+  body('customerMessage').optional().trim().isLength({ max: 500 }).escape()
+];
+
+// onStatusChange({ submission, previousStatus, actor, customerMessage }) runs in the same transaction as the change
+const createAdminRouter = ({ onStatusChange = () => {} } = {}) => {
+  const router = express.Router();
+
+  // List submissions with filters and paging
+  router.get('/requests', requireRole('viewer'), listValidation, handleValidation, (req, res) => {
+    const result = listSubmissions(req.query);
+    res.status(200).json({ success: true, ...result });
+  });
+
+  // Single submission with its history, email, text and webhook delivery state and customer replies
+  router.get('/requests/:requestId', requireRole('viewer'), requestIdValidation, handleValidation, (req, res) => {
+    const submission = getSubmission(req.params.requestId);
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        error: 'Request not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...submission,
+        history: getStatusHistory(submission.id),
+        emails: listSubmissionEmails(submission.id),
+        texts: listSubmissionTexts(submission.id),
+        webhooks: listSubmissionDeliveries(submission.id),
+        conversation: getConversation(submission.id)
+      }
+    });
+  });
+
+  // Move a service request through its lifecycle
+  router.post('/requests/:requestId/status', requireRole('staff'), statusValidation, handleValidation, (req, res) => {
+    const { status, scheduledFor, note, customerMessage } = req.body;
+
+    try {
+      const { submission } = getDb().transaction(() => {
+        const change = transitionStatus(req.params.requestId, {
+          status,
+          scheduledFor,
+          note,
+          actor: req.principal.id
+        });
+        onStatusChange({ ...change, actor: req.principal.id, customerMessage });
+        return change;
+      })();
+
+      res.status(200).json({
+        success: true,
+        data: {
+          ...submission,
+          history: getStatusHistory(submission.id)
+        }
+      });
+    } catch (error) {
+      if (!error.status) throw error;
+      res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Review a quarantined submission: release sends its held emails, discard drops them
+  const quarantineActions = {
+    release: releaseSubmission,
+    discard: discardSubmission
+  };
+
+  router.post('/requests/:requestId/:action(release|discard)', requireRole('staff'), requestIdValidation, handleValidation, (req, res) => {
+    try {
+      const submission = quarantineActions[req.params.action](req.params.requestId, { actor: req.principal.id });
+      res.status(200).json({
+        success: true,
+        data: {
+          ...submission,
+          emails: listSubmissionEmails(submission.id)
+        }
+      });
+    } catch (error) {
+      if (!error.status) throw error;
+      res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Webhook delivery log
+  router.get('/webhooks/deliveries', requireRole('viewer'), deliveryListValidation, handleValidation, (req, res) => {
+    res.status(200).json({ success: true, ...listDeliveries(req.query) });
+  });
+
+  // One delivery with its payload and every attempt
+  router.get('/webhooks/deliveries/:id', requireRole('viewer'), deliveryIdValidation, handleValidation, (req, res) => {
+    const delivery = getDelivery(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found'
+      });
+    }
+    res.status(200).json({ success: true, data: delivery });
+  });
+
+  // Send a dead delivery again once the receiver is fixed
+  router.post('/webhooks/deliveries/:id/retry', requireRole('staff'), deliveryIdValidation, handleValidation, (req, res) => {
+    try {
+      res.status(200).json({ success: true, data: retryDelivery(req.params.id) });
+    } catch (error) {
+      if (!error.status) throw error;
+      res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,95 @@
+// Development-only preview of every email template, rendered from fixtures with query-string overrides
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { escape } = require('validator');
+const {
+  createCompanyEmailTemplate,
+  createCompanySupportTemplate,
+  createConfirmationEmail,
+  createEscalationEmail,
+  createOutOfAreaEmail,
+  createStatusUpdateEmail,
+  createSupportConfirmation
+} = require('../lib/templates');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'templates', 'fixtures');
+
+const PREVIEWS = {
+  'company-service': createCompanyEmailTemplate,
+  'company-support': createCompanySupportTemplate,
+  'service-confirmation': createConfirmationEmail,
+  'support-confirmation': createSupportConfirmation,
+  'out-of-area': createOutOfAreaEmail,
+  escalation: createEscalationEmail,
+  'status-update': createStatusUpdateEmail
+};
+
+// Fixtures are re-read per request so edits show up on refresh
+const loadFixture = (name) => JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, `${name}.json`), 'utf8'));
+
+// Query-string overrides are escaped the same way the public routes escape form input
+const applyOverrides = (fixture, query) => Object.entries(query)
+  .filter(([key]) => key !== 'format')
+  .reduce((data, [key, value]) => ({ ...data, [key]: escape(String(value)) }), fixture);
+
+const renderIndexPage = (names, query) => {
+  const queryString = new URLSearchParams(query).toString();
+  const suffix = queryString ? `&${queryString}` : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Email Previews</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; margin: 20px; background: #f4f4f4; }
+        h1 { color: #092158; }
+        h2 { color: #092158; margin-top: 40px; }
+        .pair { display: grid; grid-template-columns: 1fr 1fr; gap: 16px; }
+        iframe { width: 100%; height: 700px; border: 1px solid #dee2e6; background: #fff; }
+        a { color: #092158; }
+    </style>
+</head>
+<body>
+    <h1>Email Previews</h1>
+    <p>HTML on the left, generated plain text on the right. Add query parameters to override fixture values, e.g. <code>?name=Sam&amp;urgency=Urgent</code>, or <code>?locale=fr</code> for the customer emails in French (<code>es</code> for Spanish).</p>
+    ${names.map(name => `
+    <h2>${name} <small>(<a href="${name}?format=html${suffix}">html</a> | <a href="${name}?format=text${suffix}">text</a>)</small></h2>
+    <div class="pair">
+        <iframe src="${name}?format=html${suffix}" title="${name} HTML"></iframe>
+        <iframe src="${name}?format=text${suffix}" title="${name} text"></iframe>
+    </div>`).join('')}
+</body>
+</html>`;
+};
+
+const createDevEmailRouter = () => {
+  const router = express.Router();
+
+  // Side-by-side index of every template
+  router.get('/', (req, res) => {
+    res.type('html').send(renderIndexPage(Object.keys(PREVIEWS), req.query));
+  });
+
+  // One template as HTML (default) or text: /dev/emails/status-update?format=text&status=cancelled
+  router.get('/:template', (req, res) => {
+    const render = PREVIEWS[req.params.template];
+    if (!render) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown template. Expected one of: ${Object.keys(PREVIEWS).join(', ')}`
+      });
+    }
+
+    const { html, text } = render(applyOverrides(loadFixture(req.params.template), req.query));
+    if (req.query.format === 'text') {
+      return res.type('text/plain; charset=utf-8').send(text);
+    }
+    res.type('html').send(html);
+  });
+
+  return router;
+};
+
+module.exports = { createDevEmailRouter };
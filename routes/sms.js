@@ -0,0 +1,37 @@
+// Inbound SMS webhook: records STOP / START replies so opted-out numbers are never texted
+const express = require('express');
+const bodyParser = require('body-parser');
+const { logger } = require('../lib/logger');
+const { normalizePhone } = require('../lib/phone');
+const { handleInboundKeyword } = require('../lib/sms/optOuts');
+
+const createSmsRouter = ({ provider }) => {
+  const router = express.Router();
+
+  // Providers post form-encoded messages; the signature is checked against those exact fields
+  router.post('/inbound', bodyParser.urlencoded({ extended: false, limit: '20kb' }), (req, res) => {
+    if (!provider.verifyInbound(req)) {
+      logger.warn('Rejected inbound SMS with an invalid signature', {
+        ip: req.ip
+      });
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid signature'
+      });
+    }
+
+    const { from, text } = provider.parseInbound(req);
+    const phone = normalizePhone(from);
+    const result = phone && handleInboundKeyword(phone, text);
+    if (result) {
+      logger.info(`SMS ${result}`, { phone });
+    }
+
+    // Empty TwiML: no automatic reply (the carrier already confirms STOP and START)
+    res.type('text/xml').send('<Response></Response>');
+  });
+
+  return router;
+};
+
+module.exports = { createSmsRouter };
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { temporaryDirectory } = require('./helpers');
+
+// A file database so worker threads can race on it through their own connections
+process.env.DATABASE_PATH = path.join(temporaryDirectory(), 'slots.sqlite');
+process.env.BUSINESS_HOURS = 'sun-sat=08:00-12:00';
+process.env.SLOT_DURATION_MINUTES = '120';
+process.env.SLOT_CAPACITY = '2';
+const { findSlot, listAvailability, releaseSlot, reserveSlot } = require('../lib/availability');
+const { createSubmission } = require('../lib/submissions');
+const { addDays, businessDay } = require('../lib/timezone');
+
+const day = offset => addDays(businessDay(), offset);
+const request = () => createSubmission({ type: 'service', name: 'Ann Lee', email: 'ann@example.com', serviceType: 'Drain Cleaning', message: 'Slow drain' });
+
+test('a slot takes bookings up to its capacity, then leaves the list until one is released', () => {
+  const slotId = `${day(3)}T08:00`;
+  const remaining = () => (listAvailability({ from: day(3), days: 1 }).find(slot => slot.id === slotId) || { remaining: 0 }).remaining;
+
+  assert.strictEqual(findSlot(slotId).label, '8:00 AM – 10:00 AM');
+  assert.strictEqual(remaining(), 2);
+
+  const first = request();
+  reserveSlot(slotId, first.id);
+  assert.strictEqual(remaining(), 1);
+  reserveSlot(slotId, request().id);
+  assert.strictEqual(remaining(), 0);
+  assert.throws(() => reserveSlot(slotId, request().id), error => error.status === 409);
+
+  releaseSlot(first.id);
+  assert.strictEqual(remaining(), 1);
+});
+
+test('slots outside business hours or the booking window are not offered', () => {
+  assert.strictEqual(findSlot(`${day(3)}T12:00`), null);
+  assert.strictEqual(findSlot(`${day(3)}T09:00`), null);
+  assert.strictEqual(findSlot(`${day(60)}T08:00`), null);
+  assert.strictEqual(findSlot('tomorrow morning'), null);
+});
+
+test('bookings racing from several connections never overfill a slot', async () => {
+  const slotId = `${day(4)}T10:00`;
+  const submissionIds = Array.from({ length: 12 }, () => request().id);
+
+  const race = ids => new Promise((resolve, reject) => {
+    const worker = new Worker(`
+      const { workerData, parentPort } = require('worker_threads');
+      const { reserveSlot } = require(${JSON.stringify(path.join(__dirname, '..', 'lib', 'availability'))});
+      let booked = 0;
+      for (const id of workerData.ids) {
+        try {
+          reserveSlot(workerData.slotId, id);
+          booked += 1;
+        } catch (error) {
+          if (error.status !== 409) throw error;
+        }
+      }
+      parentPort.postMessage(booked);
+    `, { eval: true, workerData: { slotId, ids } });
+    worker.once('message', resolve);
+    worker.once('error', reject);
+  });
+
+  const booked = await Promise.all([0, 1, 2, 3].map(index => race(submissionIds.slice(index * 3, index * 3 + 3))));
+  assert.strictEqual(booked.reduce((sum, count) => sum + count, 0), 2);
+});
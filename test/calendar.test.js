@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.SUPPORT_ACCOUNT = 'support@mainedrainbusters.com';
+const { createAppointmentInvite, preferredWindow } = require('../lib/calendar');
+const { getBrand } = require('../lib/brand');
+
+const submission = {
+  requestId: 'MDB-20300115-ABC123',
+  name: 'Ann Lee',
+  email: 'ann@example.com',
+  serviceType: 'Sewer &amp; Septic',
+  address: '12 Main St, Apt 4; Portland, ME'
+};
+
+const start = new Date('2030-01-15T14:00:00Z');
+
+// Decode the attachment and undo line folding
+const calendarOf = invite => Buffer.from(invite.content, 'base64').toString('utf8');
+const linesOf = invite => calendarOf(invite).replace(/\r\n /g, '').split('\r\n');
+const field = (invite, name) => {
+  const line = linesOf(invite).find(entry => entry.startsWith(`${name}:`) || entry.startsWith(`${name};`));
+  return line && line.slice(line.indexOf(':') + 1);
+};
+
+test('the UID is the request ID at the brand website domain, so every update replaces the same event', () => {
+  const tentative = createAppointmentInvite({ submission, type: 'tentative', sequence: 0, start });
+  const confirmed = createAppointmentInvite({ submission, type: 'confirmed', sequence: 1, start });
+
+  assert.strictEqual(field(tentative, 'UID'), 'MDB-20300115-ABC123@mainedrainbusters.com');
+  assert.strictEqual(field(confirmed, 'UID'), field(tentative, 'UID'));
+  assert.strictEqual(field(confirmed, 'SEQUENCE'), '1');
+  assert.strictEqual(field(confirmed, 'STATUS'), 'CONFIRMED');
+
+  const otherSite = { ...getBrand(), name: 'Coast Plumbing', website: 'https://www.coastplumbing.example' };
+  const coast = createAppointmentInvite({ submission, type: 'tentative', sequence: 0, start, brand: otherSite });
+  assert.strictEqual(field(coast, 'UID'), 'MDB-20300115-ABC123@coastplumbing.example');
+  assert.strictEqual(field(coast, 'ORGANIZER'), 'mailto:support@mainedrainbusters.com');
+  assert.match(field(coast, 'SUMMARY'), /^Coast Plumbing: /);
+});
+
+test('an invite is a REQUEST with UTC times and escaped text, and a cancellation is a CANCEL', () => {
+  const invite = createAppointmentInvite({ submission, type: 'tentative', sequence: 0, start });
+
+  assert.strictEqual(invite.filename, 'appointment.ics');
+  assert.strictEqual(invite.contentType, 'text/calendar; charset=utf-8; method=REQUEST');
+  assert.strictEqual(field(invite, 'METHOD'), 'REQUEST');
+  assert.strictEqual(field(invite, 'STATUS'), 'TENTATIVE');
+  assert.strictEqual(field(invite, 'DTSTART'), '20300115T140000Z');
+  assert.strictEqual(field(invite, 'DTEND'), '20300115T160000Z');
+  assert.strictEqual(field(invite, 'SUMMARY'), 'Maine Drain Busters: Sewer & Septic appointment (requested)');
+  assert.strictEqual(field(invite, 'LOCATION'), '12 Main St\\, Apt 4\\; Portland\\, ME');
+  assert.match(field(invite, 'DESCRIPTION'), /^Request ID: MDB-20300115-ABC123\\nQuestions\? Call /);
+  assert.strictEqual(field(invite, 'ATTENDEE;CN=Ann Lee;ROLE=REQ-PARTICIPANT;RSVP=FALSE'), 'mailto:ann@example.com');
+
+  const cancelled = createAppointmentInvite({ submission, type: 'cancelled', sequence: 2, start });
+  assert.strictEqual(cancelled.filename, 'appointment-cancelled.ics');
+  assert.strictEqual(field(cancelled, 'METHOD'), 'CANCEL');
+  assert.strictEqual(field(cancelled, 'STATUS'), 'CANCELLED');
+});
+
+test('long lines are folded at 75 octets without splitting a character', () => {
+  const invite = createAppointmentInvite({
+    submission: { ...submission, address: `${'Chemin de la Rivière '.repeat(8)}, Québec` },
+    type: 'tentative',
+    sequence: 0,
+    start
+  });
+
+  const physical = calendarOf(invite).split('\r\n');
+  assert.ok(physical.some(line => line.startsWith(' ')));
+  physical.forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+  assert.strictEqual(field(invite, 'LOCATION'), `${'Chemin de la Rivière '.repeat(8)}\\, Québec`);
+});
+
+test('the preferred date and time become a window in Maine time', () => {
+  const window = (preferredDate, preferredTime) => {
+    const result = preferredWindow({ preferredDate, preferredTime });
+    return result && [result.start.toISOString(), result.end.toISOString()];
+  };
+
+  assert.deepStrictEqual(window('2030-01-15', 'Morning'), ['2030-01-15T13:00:00.000Z', '2030-01-15T17:00:00.000Z']);
+  assert.deepStrictEqual(window('2030-07-15', '2:30 pm'), ['2030-07-15T18:30:00.000Z', '2030-07-15T20:30:00.000Z']);
+  assert.deepStrictEqual(window('2030-01-15', 'whenever'), ['2030-01-15T13:00:00.000Z', '2030-01-15T22:00:00.000Z']);
+  assert.strictEqual(window('', 'Morning'), null);
+  assert.strictEqual(window('next Tuesday', 'Morning'), null);
+});
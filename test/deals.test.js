@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.DATABASE_PATH = ':memory:';
+const { loadDeals, redeemDeal, releaseRedemption } = require('../lib/deals');
+const { createSubmission } = require('../lib/submissions');
+const { configFile } = require('./helpers');
+
+const catalog = deals => loadDeals(configFile('deals.json', { deals }));
+
+const submissionFor = email => createSubmission({ type: 'service', name: 'Ann Lee', email, serviceType: 'Drain Cleaning', message: 'Slow drain' });
+
+test('a deal scoped to a service name with & applies to that service as the form sends it', () => {
+  const { checkDeal } = catalog([
+    { code: 'SEPTIC25', title: 'Septic special', amount: 25, serviceTypes: ['Sewer & Septic'] }
+  ]);
+
+  // express-validator's escape() has already run on the form value
+  assert.strictEqual(checkDeal('SEPTIC25', { serviceType: 'Sewer &amp; Septic' }).code, 'SEPTIC25');
+  assert.strictEqual(checkDeal('septic25', { serviceType: 'Sewer & Septic' }).code, 'SEPTIC25');
+  assert.throws(() => checkDeal('SEPTIC25', { serviceType: 'Drain Cleaning' }), /only applies to: Sewer & Septic/);
+});
+
+test('an unknown code is rejected', () => {
+  const { checkDeal } = catalog([{ code: 'SPRING10', title: 'Spring', percent: 10 }]);
+
+  assert.throws(() => checkDeal('WINTER10'), /Unknown deal code/);
+  assert.throws(() => checkDeal(''), /Unknown deal code/);
+});
+
+test('start and end dates are inclusive days in Maine time', () => {
+  const { checkDeal, listActiveDeals } = catalog([
+    { code: 'MARCH', title: 'March only', amount: 20, startsOn: '2030-03-01', endsOn: '2030-03-31' }
+  ]);
+  const lastEvening = new Date('2030-04-01T03:30:00Z'); // 23:30 on March 31 in Maine
+  const nextMorning = new Date('2030-04-01T04:30:00Z'); // 00:30 on April 1
+
+  assert.strictEqual(checkDeal('MARCH', { now: lastEvening }).code, 'MARCH');
+  assert.throws(() => checkDeal('MARCH', { now: nextMorning }), /not currently available/);
+  assert.throws(() => checkDeal('MARCH', { now: new Date('2030-03-01T04:30:00Z') }), /not currently available/);
+  assert.deepStrictEqual(listActiveDeals(lastEvening).map(deal => deal.discount), ['$20 off']);
+  assert.deepStrictEqual(listActiveDeals(nextMorning), []);
+});
+
+test('each customer can use a deal up to its limit, and a cancelled request gives one back', () => {
+  const { checkDeal } = catalog([
+    { code: 'ONCE', title: 'First visit', amount: 30 },
+    { code: 'TWICE', title: 'Two visits', percent: 15, perCustomerLimit: 2 }
+  ]);
+  const once = checkDeal('ONCE');
+  const twice = checkDeal('TWICE');
+
+  const first = submissionFor('ann@example.com');
+  redeemDeal(once, { email: 'Ann@Example.com', submissionId: first.id });
+  assert.throws(
+    () => redeemDeal(once, { email: 'ann@example.com', submissionId: submissionFor('ann@example.com').id }),
+    error => error.status === 409 && /already been used/.test(error.message)
+  );
+  redeemDeal(once, { email: 'bob@example.com', submissionId: submissionFor('bob@example.com').id });
+
+  redeemDeal(twice, { email: 'ann@example.com', submissionId: submissionFor('ann@example.com').id });
+  redeemDeal(twice, { email: 'ann@example.com', submissionId: submissionFor('ann@example.com').id });
+  assert.throws(
+    () => redeemDeal(twice, { email: 'ann@example.com', submissionId: submissionFor('ann@example.com').id }),
+    /can only be used 2 times per customer/
+  );
+
+  releaseRedemption(first.id);
+  redeemDeal(once, { email: 'ann@example.com', submissionId: submissionFor('ann@example.com').id });
+});
+
+test('a bad catalog lists every problem', () => {
+  assert.throws(
+    () => catalog([{ code: 'bad code', amount: 5, percent: 5 }, { code: 'LATE', title: 'Late', amount: 5, startsOn: '2030-02-01', endsOn: '2030-01-01' }]),
+    (error) => {
+      assert.match(error.message, /^Invalid deal catalog in /);
+      assert.match(error.message, /"code" must be 3-40 uppercase letters/);
+      assert.match(error.message, /"title" is required/);
+      assert.match(error.message, /set exactly one of "amount" or "percent"/);
+      assert.match(error.message, /deal "LATE": "startsOn" is after "endsOn"/);
+      return true;
+    }
+  );
+});
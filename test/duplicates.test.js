@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.DATABASE_PATH = ':memory:';
+const { getDb } = require('../lib/db');
+const { createSubmission } = require('../lib/submissions');
+const { findDuplicate, unfoldableChanges } = require('../lib/duplicates');
+
+const serviceRequest = (email, data = {}) => createSubmission({
+  type: 'service',
+  name: 'Ann Lee',
+  email,
+  address: '1 Main St, Portland, ME, 04101',
+  serviceType: 'Drain Cleaning',
+  message: 'Slow drain',
+  data
+});
+
+const resubmission = email => ({ type: 'service', email, address: '1 Main St, Portland, ME, 04101', serviceType: 'drain cleaning' });
+
+test('a resubmission matches the open request, but not one held or discarded as spam', () => {
+  const open = serviceRequest('open@example.com');
+  assert.strictEqual(findDuplicate(resubmission('open@example.com')).requestId, open.requestId);
+
+  ['held', 'discarded'].forEach((quarantine) => {
+    const email = `${quarantine}@example.com`;
+    const suspect = serviceRequest(email);
+    getDb().prepare('UPDATE submissions SET quarantine_status = ? WHERE id = ?').run(quarantine, suspect.id);
+    assert.strictEqual(findDuplicate(resubmission(email)), null);
+  });
+
+  const released = serviceRequest('released@example.com');
+  getDb().prepare(`UPDATE submissions SET quarantine_status = 'released' WHERE id = ?`).run(released.id);
+  assert.strictEqual(findDuplicate(resubmission('released@example.com')).requestId, released.requestId);
+});
+
+test('new files, another slot or another deal cannot be folded into the earlier request', () => {
+  const earlier = serviceRequest('slots@example.com', { slotId: '2030-01-07-am', dealCode: 'SPRING10' });
+
+  assert.deepStrictEqual(unfoldableChanges(earlier, { slotId: '2030-01-07-am', dealCode: 'SPRING10' }), []);
+  assert.deepStrictEqual(unfoldableChanges(earlier, {}), []);
+  assert.deepStrictEqual(
+    unfoldableChanges(earlier, { attachments: [{ filename: 'sink.jpg' }], slotId: '2030-01-08-pm', dealCode: 'FALL20' }),
+    ['attachments', 'slotId', 'dealCode']
+  );
+});
@@ -0,0 +1,25 @@
+// Shared test fixtures: temporary directories and JSON config files, removed when the test file finishes
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after } = require('node:test');
+
+const directories = [];
+
+after(() => directories.forEach(directory => fs.rmSync(directory, { recursive: true, force: true })));
+
+// A fresh temporary directory
+const temporaryDirectory = () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mdb-test-'));
+  directories.push(directory);
+  return directory;
+};
+
+// Write definition as JSON to a fresh temporary file called name; returns its path
+const configFile = (name, definition) => {
+  const filePath = path.join(temporaryDirectory(), name);
+  fs.writeFileSync(filePath, JSON.stringify(definition));
+  return filePath;
+};
+
+module.exports = { configFile, temporaryDirectory };
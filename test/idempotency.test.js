@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+process.env.DATABASE_PATH = ':memory:';
+const { getDb } = require('../lib/db');
+const { idempotency } = require('../lib/idempotency');
+
+let submissions = 0;
+let server;
+let baseUrl;
+
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.site = { id: req.get('X-Site') || 'main' };
+    next();
+  });
+  app.post('/send-email', idempotency('/send-email'), async (req, res) => {
+    submissions += 1;
+    await new Promise(resolve => setTimeout(resolve, req.body.slow ? 300 : 0));
+    res.json({ success: true, requestId: `REQ-${submissions}` });
+  });
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+const post = (key, body, site = 'main') => fetch(`${baseUrl}/send-email`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key, 'X-Site': site },
+  body: JSON.stringify(body)
+});
+
+test('a repeat gets the original response without a second submission', async () => {
+  const first = await (await post('key-replay', { name: 'Ann' })).json();
+  const before = submissions;
+  const repeat = await post('key-replay', { name: 'Ann' });
+
+  assert.strictEqual(repeat.headers.get('Idempotent-Replayed'), 'true');
+  assert.deepStrictEqual(await repeat.json(), first);
+  assert.strictEqual(submissions, before);
+  assert.strictEqual((await post('key-replay', { name: 'Bob' })).status, 422);
+});
+
+test('a repeat while the first is still running gets 409', async () => {
+  const first = post('key-running', { slow: true });
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  assert.strictEqual((await post('key-running', { slow: true })).status, 409);
+  assert.strictEqual((await first).status, 200);
+  assert.strictEqual((await post('key-running', { slow: true })).headers.get('Idempotent-Replayed'), 'true');
+});
+
+test('two sites using the same key each get their own response', async () => {
+  const main = await (await post('key-shared', { name: 'Ann' }, 'main')).json();
+  const other = await (await post('key-shared', { name: 'Ann' }, 'other')).json();
+
+  assert.notStrictEqual(main.requestId, other.requestId);
+});
+
+test('a claim left behind by a crash is taken over once it is stale', async () => {
+  const stale = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+  const fresh = new Date().toISOString();
+  const claim = getDb().prepare(`
+    INSERT INTO idempotency_keys (site_id, endpoint, key, request_hash, created_at) VALUES ('main', '/send-email', ?, 'x', ?)
+  `);
+  claim.run('key-crashed', stale);
+  claim.run('key-busy', fresh);
+
+  assert.strictEqual((await post('key-crashed', { name: 'Ann' })).status, 200);
+  assert.strictEqual((await post('key-busy', { name: 'Ann' })).status, 422);
+});
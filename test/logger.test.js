@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+
+process.env.LOG_LEVEL = 'info';
+const { currentCorrelationId, logger, requestContext, withCorrelationId } = require('../lib/logger');
+
+// Lines written to stdout and stderr while fn runs (logging is synchronous, so nothing else slips in)
+const capture = (fn) => {
+  const lines = { stdout: [], stderr: [] };
+  const originals = { stdout: process.stdout.write, stderr: process.stderr.write };
+  Object.keys(lines).forEach((stream) => {
+    process[stream].write = (chunk) => {
+      lines[stream].push(String(chunk));
+      return true;
+    };
+  });
+  try {
+    fn();
+  } finally {
+    Object.keys(lines).forEach((stream) => {
+      process[stream].write = originals[stream];
+    });
+  }
+  return {
+    stdout: lines.stdout.map(line => JSON.parse(line)),
+    stderr: lines.stderr.map(line => JSON.parse(line))
+  };
+};
+
+// Up to three characters of the local part stay visible, never all of it
+test('contact fields are masked by name, nested objects and lists included', () => {
+  const { stdout: [entry] } = capture(() => logger.info('Email sent', {
+    to: ['jonathan@example.com', 'al@example.com'],
+    phone: '(207) 555-1234',
+    address: '12 Main St, Portland',
+    submission: { clientEmail: 'ann.lee@example.org', fullAddress: '4 Elm St', serviceType: 'Drain Cleaning' },
+    recipients: { to: 'bob@example.com' },
+    attempts: 3
+  }));
+
+  assert.strictEqual(entry.level, 'info');
+  assert.strictEqual(entry.msg, 'Email sent');
+  assert.deepStrictEqual(entry.to, ['jon***@example.com', 'a***@example.com']);
+  assert.strictEqual(entry.phone, '(***) ***-1234');
+  assert.strictEqual(entry.address, '[redacted]');
+  assert.deepStrictEqual(entry.submission, { clientEmail: 'ann***@example.org', fullAddress: '[redacted]', serviceType: 'Drain Cleaning' });
+  assert.deepStrictEqual(entry.recipients, { to: 'bo***@example.com' });
+  assert.strictEqual(entry.attempts, 3);
+});
+
+test('emails and phone numbers inside messages and errors are masked, ids and timestamps are not', () => {
+  const error = new Error('Mailbox ann@example.com rejected the message; call +12075551234');
+  const { stdout, stderr } = capture(() => logger.error('Send failed for ann@example.com', {
+    error,
+    requestId: 'MDB-20300115-1234567890',
+    at: 1893456000000
+  }));
+
+  assert.deepStrictEqual(stdout, []);
+  const [entry] = stderr;
+  assert.strictEqual(entry.msg, 'Send failed for an***@example.com');
+  assert.strictEqual(entry.error.message, 'Mailbox an***@example.com rejected the message; call +*******1234');
+  assert.doesNotMatch(entry.error.stack, /ann@example\.com|2075551234/);
+  assert.strictEqual(entry.requestId, 'MDB-20300115-1234567890');
+  assert.strictEqual(entry.at, 1893456000000);
+});
+
+test('levels below LOG_LEVEL are dropped, and warnings go to stderr', () => {
+  const { stdout, stderr } = capture(() => {
+    logger.debug('Polling');
+    logger.info('Started');
+    logger.warn('Slow');
+  });
+
+  assert.deepStrictEqual(stdout.map(entry => entry.msg), ['Started']);
+  assert.deepStrictEqual(stderr.map(entry => entry.level), ['warn']);
+});
+
+test('each request gets an ID, echoed in X-Request-Id and on every line logged while handling it', () => {
+  const request = id => ({
+    method: 'POST',
+    originalUrl: '/send-email?email=ann@example.com',
+    ip: '203.0.113.9',
+    get: name => (name === 'X-Request-Id' ? id : undefined)
+  });
+  const response = () => Object.assign(new EventEmitter(), { headers: {}, statusCode: 200, set(name, value) { this.headers[name] = value; } });
+
+  const kept = request('edge-7f3a9c21');
+  const keptResponse = response();
+  const { stdout } = capture(() => {
+    requestContext(kept, keptResponse, () => logger.info('Handling'));
+    keptResponse.emit('finish');
+  });
+  assert.strictEqual(kept.id, 'edge-7f3a9c21');
+  assert.strictEqual(keptResponse.headers['X-Request-Id'], 'edge-7f3a9c21');
+  assert.deepStrictEqual(stdout.map(entry => entry.correlationId), ['edge-7f3a9c21', 'edge-7f3a9c21']);
+  assert.strictEqual(stdout[1].path, '/send-email');
+
+  const replaced = request('<script>');
+  capture(() => requestContext(replaced, response(), () => {}));
+  assert.match(replaced.id, /^[0-9a-f-]{36}$/);
+
+  assert.strictEqual(withCorrelationId('queue-42', currentCorrelationId), 'queue-42');
+  assert.strictEqual(currentCorrelationId(), null);
+});
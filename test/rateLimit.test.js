@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.DATABASE_PATH = ':memory:';
+process.env.CONFIRMATION_LIMIT_PER_EMAIL = '2';
+const { createConfirmationLimit, createRateLimitStores } = require('../lib/rateLimit');
+
+test('each address gets its share of confirmations, whatever case it is typed in', async () => {
+  const { allow } = createConfirmationLimit(createRateLimitStores('sqlite'));
+
+  assert.strictEqual(await allow('ann@example.com'), true);
+  assert.strictEqual(await allow('Ann@Example.com'), true);
+  assert.strictEqual(await allow('ann@example.com'), false);
+  assert.strictEqual(await allow('bob@example.com'), true);
+});
+
+test('a store outage lets confirmations through', async () => {
+  const broken = { create: () => ({ init: () => {}, increment: async () => { throw new Error('connection refused'); } }) };
+  const { allow } = createConfirmationLimit(broken);
+
+  assert.strictEqual(await allow('ann@example.com'), true);
+});
+
+test('sqlite counters start over once their window has run out', async () => {
+  const store = createRateLimitStores('sqlite').create('window-test');
+  store.init({ windowMs: 50 });
+
+  assert.strictEqual((await store.increment('1.2.3.4')).totalHits, 1);
+  assert.strictEqual((await store.increment('1.2.3.4')).totalHits, 2);
+  await store.decrement('1.2.3.4');
+  assert.strictEqual((await store.get('1.2.3.4')).totalHits, 1);
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.strictEqual(await store.get('1.2.3.4'), undefined);
+  assert.strictEqual((await store.increment('1.2.3.4')).totalHits, 1);
+});
+
+test('an unknown store or a Redis store without a URL is refused', () => {
+  delete process.env.RATE_LIMIT_REDIS_URL;
+  assert.throws(() => createRateLimitStores('postgres'), /Unknown RATE_LIMIT_STORE "postgres"/);
+  assert.throws(() => createRateLimitStores('redis'), /RATE_LIMIT_REDIS_URL/);
+});
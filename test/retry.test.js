@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.DATABASE_PATH = ':memory:';
+process.env.LOG_LEVEL = 'error';
+const { getDb } = require('../lib/db');
+const { backoffDelay, createDeliveryWorker } = require('../lib/retry');
+const { createSubmission } = require('../lib/submissions');
+
+// Workers run over the real outbox table; each test queues its own rows
+const queue = (status = 'pending') => {
+  const now = new Date().toISOString();
+  return getDb().prepare(`
+    INSERT INTO outbox (message, status, next_attempt_at, created_at, updated_at) VALUES ('{}', ?, ?, ?, ?)
+  `).run(status, now, now, now).lastInsertRowid;
+};
+
+const rowOf = id => getDb().prepare('SELECT * FROM outbox WHERE id = ?').get(id);
+
+const worker = (deliver, config = {}) => createDeliveryWorker({
+  table: 'outbox',
+  name: 'Test worker',
+  label: 'Test message',
+  config: { batchSize: 10, maxAttempts: 3, baseDelayMs: 0, maxDelayMs: 0, pollIntervalMs: 60000, ...config },
+  doneStatus: 'sent',
+  deliver,
+  deadFields: row => ({ id: row.id })
+});
+
+test('backoff doubles per attempt with at most 10% jitter, capped at the maximum', () => {
+  const options = { baseMs: 1000, maxMs: 30000 };
+  [[1, 1000], [2, 2000], [3, 4000], [4, 8000]].forEach(([attempt, delay]) => {
+    for (let sample = 0; sample < 20; sample += 1) {
+      const actual = backoffDelay(attempt, options);
+      assert.ok(actual >= delay && actual <= delay * 1.1, `attempt ${attempt}: ${actual}`);
+    }
+  });
+  assert.strictEqual(backoffDelay(10, options), 30000);
+});
+
+test('a failing row is retried until maxAttempts, then marked dead with the last error', async () => {
+  const id = queue();
+  const seen = [];
+  const { processDue, start, stop } = worker(async (row, target, attempt) => {
+    seen.push(attempt);
+    return { error: `refused ${attempt}` };
+  });
+  start({});
+  await processDue();
+  stop();
+
+  assert.deepStrictEqual(seen, [1, 2, 3]);
+  assert.strictEqual(rowOf(id).status, 'dead');
+  assert.strictEqual(rowOf(id).attempts, 3);
+  assert.strictEqual(rowOf(id).last_error, 'refused 3');
+});
+
+test('a failure waits out the backoff, and a later success clears the error and keeps the columns', async () => {
+  const id = queue();
+  let fail = true;
+  const { processDue, start, stop } = worker(
+    async () => (fail ? { error: 'timeout' } : { error: null, columns: { message_id: 'msg-1' } }),
+    { baseDelayMs: 60000, maxDelayMs: 600000 }
+  );
+  start({});
+  const before = Date.now();
+  await processDue();
+
+  const waiting = rowOf(id);
+  assert.strictEqual(waiting.status, 'pending');
+  assert.strictEqual(waiting.last_error, 'timeout');
+  const delay = Date.parse(waiting.next_attempt_at) - before;
+  assert.ok(delay >= 60000 && delay <= 67000, `delay ${delay}`);
+
+  // Not due yet, so nothing is sent
+  await processDue();
+  assert.strictEqual(rowOf(id).attempts, 1);
+
+  fail = false;
+  getDb().prepare('UPDATE outbox SET next_attempt_at = ? WHERE id = ?').run(new Date().toISOString(), id);
+  await processDue();
+  stop();
+
+  assert.strictEqual(rowOf(id).status, 'sent');
+  assert.strictEqual(rowOf(id).attempts, 2);
+  assert.strictEqual(rowOf(id).last_error, null);
+  assert.strictEqual(rowOf(id).message_id, 'msg-1');
+});
+
+test('giveUp marks a row dead on the first failure', async () => {
+  const id = queue();
+  const { processDue, start, stop } = worker(async () => ({ error: 'mailbox does not exist', giveUp: true }));
+  start({});
+  await processDue();
+  stop();
+
+  assert.strictEqual(rowOf(id).status, 'dead');
+  assert.strictEqual(rowOf(id).attempts, 1);
+});
+
+test('rows left sending by a crash are retried on start, and held rows wait for release or discard', async () => {
+  const interrupted = queue('sending');
+  const released = queue('held');
+  const discarded = queue('held');
+  const holdFor = (rowId) => {
+    const { id } = createSubmission({ type: 'support', name: 'Ann Lee', email: 'ann@example.com', message: 'Leaking pipe' });
+    getDb().prepare('UPDATE outbox SET submission_id = ? WHERE id = ?').run(id, rowId);
+    return id;
+  };
+  const releasedSubmission = holdFor(released);
+  const discardedSubmission = holdFor(discarded);
+  const delivered = [];
+  const { discardHeld, processDue, releaseHeld, start, stop } = worker(async (row) => {
+    delivered.push(row.id);
+    return { error: null };
+  });
+
+  start({});
+  await processDue();
+  assert.deepStrictEqual(delivered, [interrupted]);
+  assert.strictEqual(rowOf(released).status, 'held');
+
+  assert.strictEqual(releaseHeld(releasedSubmission), 1);
+  assert.strictEqual(discardHeld(discardedSubmission), 1);
+  await processDue();
+  stop();
+
+  assert.deepStrictEqual(delivered, [interrupted, released]);
+  assert.strictEqual(rowOf(released).status, 'sent');
+  assert.strictEqual(rowOf(discarded).status, 'discarded');
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadRouting } = require('../lib/routing');
+const { configFile } = require('./helpers');
+
+const SUPPORT = 'support@example.com';
+
+const routing = rules => loadRouting(configFile('routing.json', { rules }), { zoneIds: ['portland', 'coast'], supportAccount: SUPPORT });
+
+test('a rule on a service name with & routes the escaped form value', () => {
+  const { route } = routing([
+    { id: 'septic-crew', match: { type: 'service', serviceTypes: ['Sewer & Septic'] }, to: ['septic@example.com'] }
+  ]);
+
+  assert.deepStrictEqual(route({ type: 'service', serviceType: 'Sewer &amp; Septic' }).to, ['septic@example.com']);
+  assert.deepStrictEqual(route({ type: 'service', serviceType: 'Drain Cleaning' }).to, [SUPPORT]);
+});
+
+test('urgent requests reach on-call on top of the zone team', () => {
+  const { route } = routing([
+    { id: 'on-call', match: { type: 'service', urgency: ['Urgent', 'High'] }, to: ['oncall@example.com'] },
+    { id: 'coast-team', match: { zones: ['coast'] }, to: ['coast@example.com'], cc: ['oncall@example.com', 'office@example.com'] }
+  ]);
+
+  const urgent = route({ type: 'service', urgency: 'Urgent', zoneId: 'coast' });
+  assert.deepStrictEqual(urgent.rules, ['on-call', 'coast-team']);
+  assert.deepStrictEqual(urgent.to, ['oncall@example.com', 'coast@example.com']);
+  assert.deepStrictEqual(urgent.cc, ['office@example.com']);
+
+  assert.deepStrictEqual(route({ type: 'service', urgency: 'Low', zoneId: 'portland' }), {
+    to: [SUPPORT], cc: [], bcc: [], rules: [], escalation: null
+  });
+});
+
+test('business hours and days are Maine time, and a night window runs past midnight', () => {
+  const { route } = routing([
+    { id: 'after-hours', match: { hours: { from: '17:00', to: '08:00' } }, to: ['night@example.com'], final: true },
+    { id: 'weekend', match: { days: ['sat', 'sun'] }, to: ['weekend@example.com'] }
+  ]);
+  const at = iso => route({ type: 'support', at: new Date(iso) }).to;
+
+  assert.deepStrictEqual(at('2030-01-08T22:30:00Z'), ['night@example.com']); // Tue 17:30 EST
+  assert.deepStrictEqual(at('2030-01-09T12:59:00Z'), ['night@example.com']); // Wed 07:59
+  assert.deepStrictEqual(at('2030-01-09T13:00:00Z'), [SUPPORT]); // Wed 08:00
+  assert.deepStrictEqual(at('2030-01-12T15:00:00Z'), ['weekend@example.com']); // Sat 10:00
+  assert.deepStrictEqual(at('2030-01-13T04:30:00Z'), ['night@example.com']); // Sat 23:30, final
+});
+
+test('a final rule stops later ones, and a rule with only CC still falls back to the support account', () => {
+  const { route } = routing([
+    { id: 'support-desk', match: { type: 'support' }, cc: ['desk@example.com'], final: true },
+    { id: 'everyone', to: ['everyone@example.com'] }
+  ]);
+
+  assert.deepStrictEqual(route({ type: 'support' }), {
+    to: [SUPPORT], cc: ['desk@example.com'], bcc: [], rules: ['support-desk'], escalation: null
+  });
+  assert.deepStrictEqual(route({ type: 'service' }).to, ['everyone@example.com']);
+});
+
+test('the earliest escalation wins and reaches everyone the matching rules list', () => {
+  const { route } = routing([
+    { id: 'urgent', match: { type: 'service', urgency: ['Urgent'] }, escalation: { afterMinutes: 15, to: ['manager@example.com'] } },
+    { id: 'service', match: { type: 'service' }, to: ['dispatch@example.com'], escalation: { afterMinutes: 60, to: ['Owner@example.com', 'manager@example.com'] } }
+  ]);
+
+  assert.deepStrictEqual(route({ type: 'service', urgency: 'Urgent' }).escalation, {
+    afterMinutes: 15,
+    to: ['manager@example.com', 'owner@example.com']
+  });
+  assert.deepStrictEqual(route({ type: 'service', urgency: 'Low' }).escalation, {
+    afterMinutes: 60,
+    to: ['owner@example.com', 'manager@example.com']
+  });
+  assert.strictEqual(route({ type: 'support' }).escalation, null);
+});
+
+test('rules with unknown zones, bad recipients or an escalation on support requests are refused', () => {
+  assert.throws(() => routing([
+    { id: 'inland', match: { zones: ['inland'] }, to: ['not-an-address'] },
+    { id: 'support-escalation', match: { type: 'support' }, escalation: { afterMinutes: 30, to: ['boss@example.com'] } }
+  ]), (error) => {
+    assert.match(error.message, /^Invalid notification routing in /);
+    assert.match(error.message, /rule "inland": unknown zones value "inland"/);
+    assert.match(error.message, /rule "inland": "not-an-address" is not an email address/);
+    assert.match(error.message, /rule "support-escalation": escalation needs "match.type": "service"/);
+    return true;
+  });
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const express = require('express');
+
+process.env.DATABASE_PATH = ':memory:';
+const { formatPhone, normalizePhone } = require('../lib/phone');
+const { handleInboundKeyword, isOptedOut, recordOptOut } = require('../lib/sms/optOuts');
+const twilio = require('../lib/sms/twilio');
+const { createSmsRouter } = require('../routes/sms');
+
+test('US numbers in the usual spellings become E.164', () => {
+  for (const input of ['(207) 555-1234', '207.555.1234', '1-207-555-1234', '+1 207 555 1234', '207-555-1234 ext 9', '2075551234 x12']) {
+    assert.strictEqual(normalizePhone(input), '+12075551234', input);
+  }
+  assert.strictEqual(formatPhone('+12075551234'), '(207) 555-1234');
+});
+
+test('international numbers keep their country code, and unusable numbers are refused', () => {
+  assert.strictEqual(normalizePhone('+44 20 7946 0958'), '+442079460958');
+  assert.strictEqual(normalizePhone('0044 20 7946 0958'), '+442079460958');
+  assert.strictEqual(formatPhone('+442079460958'), '+442079460958');
+
+  for (const input of ['555-1234', '(107) 555-1234', '(207) 155-1234', '+1 107 555 1234', '+0 207 555 1234', '', 'call me', undefined]) {
+    assert.strictEqual(normalizePhone(input), null, String(input));
+  }
+});
+
+test('STOP and its synonyms opt a number out until it replies START', () => {
+  const phone = '+12075550101';
+
+  assert.strictEqual(handleInboundKeyword(phone, 'Thanks, see you Tuesday'), null);
+  assert.strictEqual(isOptedOut(phone), false);
+  assert.strictEqual(handleInboundKeyword(phone, ' stop. '), 'opted-out');
+  assert.strictEqual(isOptedOut(phone), true);
+  assert.strictEqual(handleInboundKeyword(phone, 'Please stop texting me'), null);
+  assert.strictEqual(handleInboundKeyword(phone, 'Start'), 'opted-in');
+  assert.strictEqual(isOptedOut(phone), false);
+
+  assert.strictEqual(handleInboundKeyword(phone, 'UNSUBSCRIBE'), 'opted-out');
+  recordOptOut(phone, 'carrier'); // already opted out; kept as is
+  assert.strictEqual(isOptedOut(phone), true);
+});
+
+test('the inbound webhook records replies from any spelling of the number and refuses bad signatures', async () => {
+  const provider = {
+    verifyInbound: req => req.get('X-Signature') === 'valid',
+    parseInbound: req => ({ from: req.body.From, text: req.body.Body || '' })
+  };
+  const app = express();
+  app.use('/sms', createSmsRouter({ provider }));
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+
+  try {
+    const inbound = (signature, fields) => fetch(`http://127.0.0.1:${server.address().port}/sms/inbound`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'X-Signature': signature },
+      body: new URLSearchParams(fields)
+    });
+
+    const forged = await inbound('forged', { From: '(207) 555-0102', Body: 'STOP' });
+    assert.strictEqual(forged.status, 403);
+    assert.strictEqual(isOptedOut('+12075550102'), false);
+
+    const reply = await inbound('valid', { From: '(207) 555-0102', Body: 'STOP' });
+    assert.strictEqual(reply.status, 200);
+    assert.strictEqual(await reply.text(), '<Response></Response>');
+    assert.strictEqual(isOptedOut('+12075550102'), true);
+  } finally {
+    server.close();
+  }
+});
+
+test('Twilio signatures cover the webhook URL and every posted field', () => {
+  Object.assign(process.env, { TWILIO_ACCOUNT_SID: 'AC123', TWILIO_AUTH_TOKEN: 'secret', TWILIO_FROM_NUMBER: '+12075550000' });
+  process.env.SMS_INBOUND_URL = 'https://api.example.com/sms/inbound';
+  const { verifyInbound } = twilio.create();
+  const body = { From: '+12075550103', Body: 'STOP', To: '+12075550000' };
+  const signature = crypto.createHmac('sha1', 'secret')
+    .update('https://api.example.com/sms/inboundBodySTOPFrom+12075550103To+12075550000')
+    .digest('base64');
+  const request = (fields, header) => ({ body: fields, get: () => header });
+
+  assert.strictEqual(verifyInbound(request(body, signature)), true);
+  assert.strictEqual(verifyInbound(request({ ...body, Body: 'START' }, signature)), false);
+  assert.strictEqual(verifyInbound(request(body, undefined)), false);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.DATABASE_PATH = ':memory:';
+process.env.FORM_TOKEN_SECRET = 'test-secret';
+const { createSpamFilter } = require('../lib/spam');
+
+const { issueFormToken, scoreSubmission } = createSpamFilter();
+const minute = 60 * 1000;
+
+test('a form filled in by a person with a fresh token passes', () => {
+  const issuedAt = Date.now() - minute;
+  const result = scoreSubmission({ body: { formToken: issueFormToken(issuedAt) }, texts: ['Leaking pipe under the sink'] });
+
+  assert.deepStrictEqual(result, { score: 0, reasons: [], quarantined: false });
+});
+
+test('a token is spent by its first submission', () => {
+  const token = issueFormToken(Date.now() - minute);
+
+  assert.strictEqual(scoreSubmission({ body: { formToken: token }, texts: [] }).quarantined, false);
+  const replay = scoreSubmission({ body: { formToken: token }, texts: [] });
+  assert.deepStrictEqual(replay.reasons, ['reused-form-token']);
+  assert.strictEqual(replay.quarantined, true);
+});
+
+test('missing, forged, expired and rushed tokens are each quarantined on their own', () => {
+  const now = Date.now();
+  const forged = `${issueFormToken(now - minute).slice(0, -4)}AAAA`;
+  const cases = [
+    [undefined, 'missing-form-token'],
+    [forged, 'invalid-form-token'],
+    [issueFormToken(now - 3 * 60 * minute), 'expired-form-token'],
+    [issueFormToken(now - 1000), 'submitted-too-fast']
+  ];
+
+  cases.forEach(([formToken, reason]) => {
+    const result = scoreSubmission({ body: { formToken }, texts: [], now });
+    assert.deepStrictEqual(result.reasons, [reason]);
+    assert.strictEqual(result.quarantined, true);
+  });
+});
+
+test('links and keywords add up, and the honeypot alone is enough', () => {
+  const escapedLinks = 'See https:&#x2F;&#x2F;spam.example and www.spam.example';
+  const linked = scoreSubmission({ body: { formToken: issueFormToken(Date.now() - minute) }, texts: [escapedLinks] });
+  assert.deepStrictEqual(linked, { score: 4, reasons: ['links:2'], quarantined: false });
+
+  const pitched = scoreSubmission({ body: { formToken: issueFormToken(Date.now() - minute) }, texts: ['Cheap SEO services', 'https://x.example'] });
+  assert.deepStrictEqual(pitched.reasons, ['links:1', 'keyword:seo services']);
+  assert.strictEqual(pitched.quarantined, true);
+
+  const bot = scoreSubmission({ body: { formToken: issueFormToken(Date.now() - minute), website: 'http://x' }, texts: [] });
+  assert.strictEqual(bot.score, 10);
+});
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.DATABASE_PATH = ':memory:';
+const { createSubmission, listSubmissions } = require('../lib/submissions');
+
+const support = (message, email = 'ann@example.com') => createSubmission({ type: 'support', name: 'Ann Lee', email, message });
+
+test('admin search treats % and _ in the search text literally', () => {
+  const coupon = support('Can I use the 50%_off coupon?');
+  support('50 percent off, or 50x off?');
+  const underscored = support('Question', 'first_last@example.com');
+  support('Question', 'firstxlast@example.com');
+
+  assert.deepStrictEqual(listSubmissions({ q: '50%_off' }).data.map(row => row.requestId), [coupon.requestId]);
+  assert.deepStrictEqual(listSubmissions({ q: 'first_last' }).data.map(row => row.requestId), [underscored.requestId]);
+  assert.strictEqual(listSubmissions({ q: 'back\\slash' }).pagination.total, 0);
+});
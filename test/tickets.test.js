@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.DATABASE_PATH = ':memory:';
+const { createSubmission } = require('../lib/submissions');
+const { attachReply, getConversation } = require('../lib/tickets');
+
+const reply = (from, subject) => ({
+  from: { value: [{ address: from }] },
+  subject,
+  text: 'Tuesday works for me',
+  headers: new Map(),
+  messageId: `<${Math.random().toString(36).slice(2)}@mail.example.com>`,
+  date: new Date()
+});
+
+test('a reply quoting a request ID is only attached when it comes from the customer', () => {
+  const submission = createSubmission({ type: 'support', name: 'Ann Lee', email: 'ann@example.com', message: 'Question' });
+  const subject = `Re: Support Request Received [${submission.requestId}]`;
+
+  assert.strictEqual(attachReply(reply('someone@elsewhere.com', subject), { source: 'imap' }), null);
+  assert.strictEqual(attachReply(reply('Ann@Example.com', subject), { source: 'imap' }), submission.requestId);
+  assert.deepStrictEqual(getConversation(submission.id).map(message => message.from), ['ann@example.com']);
+});
+
+test('a Gmail customer can reply from the dotted, tagged address the form normalized', () => {
+  // The form's normalizeEmail() stored John.Doe+plumbing@gmail.com as johndoe@gmail.com
+  const submission = createSubmission({ type: 'support', name: 'John Doe', email: 'johndoe@gmail.com', message: 'Question' });
+  const subject = `Re: Support Request Received [${submission.requestId}]`;
+
+  assert.strictEqual(attachReply(reply('John.Doe+plumbing@gmail.com', subject), { source: 'graph' }), submission.requestId);
+  assert.strictEqual(attachReply(reply('john.doe@googlemail.com', subject), { source: 'graph' }), submission.requestId);
+  assert.strictEqual(attachReply(reply('johndoe@example.com', subject), { source: 'graph' }), null);
+  assert.deepStrictEqual(getConversation(submission.id).map(message => message.from), ['john.doe+plumbing@gmail.com', 'john.doe@googlemail.com']);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const sharp = require('sharp');
+
+const { parseUploads, processUploads } = require('../lib/uploads');
+
+const MB = 1024 * 1024;
+
+const pdf = size => Buffer.concat([Buffer.from('%PDF-1.7\n'), Buffer.alloc(size - 9, 0x20)]);
+
+const upload = (originalname, buffer) => ({ originalname, buffer, size: buffer.length });
+
+test('photos are scaled down and stripped of EXIF, and fit the Graph total once re-encoded', async () => {
+  const photo = await sharp({ create: { width: 4000, height: 3000, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 60 } } })
+    .withMetadata({ exif: { IFD0: { Make: 'PhoneCo' } } })
+    .jpeg({ quality: 95 })
+    .toBuffer();
+  assert.ok(photo.length > 2 * MB, `photo is ${photo.length} bytes`);
+
+  const [attachment] = await processUploads([upload('../IMG 0001.jpeg', photo)]);
+  const output = Buffer.from(attachment.content, 'base64');
+  const metadata = await sharp(output).metadata();
+
+  assert.strictEqual(attachment.filename, 'IMG_0001.jpg');
+  assert.strictEqual(attachment.contentType, 'image/jpeg');
+  assert.strictEqual(Math.max(metadata.width, metadata.height), 1600);
+  assert.strictEqual(metadata.exif, undefined);
+  assert.ok(output.length < 2 * MB, `re-encoded to ${output.length} bytes`);
+});
+
+test('a PDF over the total is refused before anything is processed', async () => {
+  await assert.rejects(processUploads([upload('plans.pdf', pdf(2 * MB + 1))]), (error) => {
+    assert.strictEqual(error.status, 413);
+    assert.match(error.message, /total 2\.0MB or less/);
+    assert.deepStrictEqual(error.details, [{ file: 'plans.pdf', error: 'File too large' }]);
+    return true;
+  });
+
+  const [attachment] = await processUploads([upload('plans.pdf', pdf(1024))]);
+  assert.strictEqual(attachment.contentType, 'application/pdf');
+});
+
+test('files are identified by content, not by name', async () => {
+  await assert.rejects(processUploads([upload('photo.jpg', Buffer.from('MZ this is really an executable'))]), error => error.status === 415);
+});
+
+test('multipart uploads over the per-file size or file count are refused before they are buffered', async () => {
+  const app = express();
+  app.post('/send-email', parseUploads, (req, res) => res.json({ success: true, files: req.files.length }));
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+
+  try {
+    const send = (files) => {
+      const form = new FormData();
+      form.append('name', 'Ann Lee');
+      files.forEach((file, index) => form.append('attachments', new Blob([file]), `file-${index}.pdf`));
+      return fetch(`http://127.0.0.1:${server.address().port}/send-email`, { method: 'POST', body: form });
+    };
+
+    const tooLarge = await send([pdf(5 * MB + 1)]);
+    assert.strictEqual(tooLarge.status, 413);
+    assert.strictEqual((await tooLarge.json()).error, 'Each file must be 5MB or smaller');
+
+    const tooMany = await send([pdf(1024), pdf(1024), pdf(1024), pdf(1024)]);
+    assert.strictEqual(tooMany.status, 400);
+
+    assert.deepStrictEqual(await (await send([pdf(1024), pdf(1024), pdf(1024)])).json(), { success: true, files: 3 });
+  } finally {
+    server.close();
+  }
+});